@@ -18,6 +18,10 @@ if (!window.__xpathPickerInitialized) {
     // オーバーレイ要素の識別用ID
     const OVERLAY_ID = "__xpath_picker_overlay__";
 
+    // Shadow DOM の境界を表すセグメント
+    // ホスト要素までの XPath とシャドウルートからのパスをつなぐ（例: /html[1]/body[1]/my-app[1]/#shadow-root/div[2]）
+    const SHADOW_ROOT_SEGMENT = "#shadow-root";
+
     // イベントハンドラ参照
     let onMouseMoveHandler = null;
     let onClickHandler = null;
@@ -107,12 +111,19 @@ if (!window.__xpathPickerInitialized) {
         overlayElement = null;
     }
 
+    // イベントの本来の対象要素を取得
+    // Shadow DOM 内では event.target がホスト要素に置き換わるため composedPath() の先頭を使う
+    function getEventTarget(event) {
+        const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+        return path.length > 0 ? path[0] : event.target;
+    }
+
     // マウス移動時: ホバー要素を記録（オーバーレイ位置も更新するが透明）
     function handleMouseMove(event) {
         if (!selectionModeEnabled) {
             return;
         }
-        const target = event.target;
+        const target = getEventTarget(event);
         if (!(target instanceof Element)) {
             return;
         }
@@ -146,7 +157,7 @@ if (!window.__xpathPickerInitialized) {
         }
         event.preventDefault();
         event.stopPropagation();
-        const target = currentHoverElement || event.target;
+        const target = currentHoverElement || getEventTarget(event);
         if (!(target instanceof Element)) {
             return;
         }
@@ -255,18 +266,14 @@ if (!window.__xpathPickerInitialized) {
 
     // 絶対XPath(Full XPath)生成
     // target から親をたどり、各階層で tagName[index] を付与（例: /html[1]/body[1]/div[2]/span[3]）
+    // オープンな Shadow DOM 内の要素はシャドウルートの直下で SHADOW_ROOT_SEGMENT を挟み、ホスト要素から続ける
     function getAbsoluteXPath(element) {
         if (!(element instanceof Element)) {
             return {xpath: null, error: "invalid-element"};
         }
 
-        const rootNode = typeof element.getRootNode === "function" ? element.getRootNode() : null;
-        if (typeof ShadowRoot !== "undefined" && rootNode instanceof ShadowRoot) {
-            // Shadow DOM 内の要素は通常の XPath では表現できない
-            return {xpath: null, error: "shadow-dom-not-supported"};
-        }
-
-        if (!document.documentElement || !document.documentElement.contains(element)) {
+        // Shadow DOM 内の要素は documentElement.contains() で判定できないため isConnected を使う
+        if (!document.documentElement || !element.isConnected) {
             return {xpath: null, error: "detached-element"};
         }
 
@@ -276,7 +283,12 @@ if (!window.__xpathPickerInitialized) {
             const nodeName = getXPathNodeName(currentNode);
             const index = getSiblingIndexForXPath(currentNode);
             segments.unshift(nodeName + "[" + index + "]");
-            currentNode = currentNode.parentElement;
+            if (typeof ShadowRoot !== "undefined" && currentNode.parentNode instanceof ShadowRoot) {
+                segments.unshift(SHADOW_ROOT_SEGMENT);
+                currentNode = currentNode.parentNode.host;
+            } else {
+                currentNode = currentNode.parentElement;
+            }
         }
 
         if (segments.length === 0) {
@@ -321,20 +333,53 @@ if (!window.__xpathPickerInitialized) {
 
     function isXPathResolvedToElement(xpath, element) {
         try {
-            const result = document.evaluate(
-                xpath,
-                document,
-                null,
-                XPathResult.FIRST_ORDERED_NODE_TYPE,
-                null
-            );
-            return !!result && result.singleNodeValue === element;
+            return resolveComposedXPath(xpath) === element;
         } catch (e) {
             console.warn("XPath評価エラー:", e);
             return false;
         }
     }
 
+    // SHADOW_ROOT_SEGMENT を含む XPath を要素に解決
+    // document.evaluate はシャドウルートの中をたどれないため、境界の手前までを document.evaluate で解決し、
+    // 境界より後ろはシャドウルートの子要素を tagName[index] ごとにたどる
+    function resolveComposedXPath(xpath) {
+        const parts = xpath.split("/" + SHADOW_ROOT_SEGMENT);
+        const result = document.evaluate(
+            parts[0],
+            document,
+            null,
+            XPathResult.FIRST_ORDERED_NODE_TYPE,
+            null
+        );
+        let node = result ? result.singleNodeValue : null;
+        for (let i = 1; i < parts.length; i++) {
+            if (!node || !node.shadowRoot) {
+                return null;
+            }
+            node = walkShadowRootPath(node.shadowRoot, parts[i]);
+        }
+        return node;
+    }
+
+    // シャドウルートから tagName[index] の並びをたどって要素を返す（見つからない場合は null）
+    function walkShadowRootPath(shadowRoot, path) {
+        let current = shadowRoot;
+        const steps = path.split("/").filter((step) => step.length > 0);
+        for (const step of steps) {
+            const match = step.match(/^(.+)\[(\d+)\]$/);
+            if (!match) {
+                return null;
+            }
+            const sameTypeChildren = Array.from(current.children).filter((child) => getXPathNodeName(child) === match[1]);
+            current = sameTypeChildren[parseInt(match[2], 10) - 1] || null;
+            if (!current) {
+                return null;
+            }
+        }
+        return current;
+    }
+
     // popup.js からのメッセージ受付
     chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
         if (!message || typeof message.type !== "string") {
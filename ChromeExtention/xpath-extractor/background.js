@@ -1,8 +1,49 @@
 /**
  * このファイルはChrome拡張機能のService Workerとして動作し、
- * キーボードショートカットの処理とコンテンツスクリプトへのメッセージ中継を担当します。
+ * キーボードショートカットの処理とコンテンツスクリプトへのメッセージ中継、
+ * 抽出レシピ（保存済みパターン）の管理、複数ページの巡回抽出、
+ * フレームごとの抽出データの結合を担当します。
  */
 
+// ========================================
+// 定数
+// ========================================
+
+// 抽出レシピを保存するストレージのキー
+const RECIPES_STORAGE_KEY = "recipes";
+
+// chrome.storage.sync に保存する際のレシピごとのキーの接頭辞
+// syncは1項目あたりの容量制限が小さいため、レシピを1件ずつ別キーに保存する
+const SYNC_RECIPE_KEY_PREFIX = "recipe:";
+
+// レシピ同期の有効・無効を保存するキー（端末ごとの設定なのでlocalに保存）
+const RECIPE_SYNC_SETTING_KEY = "recipeSyncEnabled";
+
+// ページ巡回で使用する「次へ」要素のXPathと、実行中ジョブの進捗を保存するキー
+const NEXT_PAGE_XPATH_KEY = "nextPageXPath";
+const NEXT_PAGE_FRAME_PATH_KEY = "nextPageFramePath";
+const JOB_STATUS_KEY = "jobStatus";
+
+// ページ巡回の既定の最大ページ数
+const DEFAULT_MAX_PAGES = 10;
+
+// ページ遷移の完了を待つ上限時間と、コンテンツスクリプトの読み込みを待つ再試行設定
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+const CONTENT_SCRIPT_RETRY_COUNT = 10;
+const CONTENT_SCRIPT_RETRY_INTERVAL_MS = 500;
+
+// レシピのエクスポートファイル形式の識別子とバージョン
+const RECIPE_EXPORT_FORMAT = "xpath-extractor-recipes";
+const RECIPE_EXPORT_VERSION = 1;
+
+// 抽出データとして保存しているストレージのキー
+const EXTRACTED_DATA_KEYS = ["extractedData", "patternInfo", "timestamp"];
+
+// フレームごとの抽出データを保存するキー
+// { tabId: number, activeFrameId: number, frames: { [frameId]: { framePath, data, patternInfo } } }
+// activeFrameId は最後に選択・パターンを保存したフレームで、Popupからのパターンの操作はこのフレームに送る
+const FRAME_RESULTS_KEY = "frameResults";
+
 // ========================================
 // キーボードショートカット処理
 // ========================================
@@ -16,7 +57,7 @@ chrome.commands.onCommand.addListener((command) => {
         // 現在アクティブなタブを取得してメッセージを送信
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
             if (tabs[0] && tabs[0].id) {
-                chrome.tabs.sendMessage(tabs[0].id, { action: "toggleSelectionMode" })
+                toggleSelectionModeInTab(tabs[0].id)
                     .catch((error) => {
                         // コンテンツスクリプトがまだロードされていない場合のエラーを無視
                         console.log("Content script not ready:", error.message);
@@ -26,6 +67,750 @@ chrome.commands.onCommand.addListener((command) => {
     }
 });
 
+// ========================================
+// ユーティリティ関数
+// ========================================
+
+/**
+ * アクティブタブのコンテンツスクリプトにメッセージを送信する
+ * 送信先は現在のパターンを持つフレーム（まだ選択していない場合はトップフレーム）
+ * 
+ * @param {object} message - 送信するメッセージ
+ * @returns {Promise<*>} コンテンツスクリプトからの応答
+ */
+function sendMessageToActiveTab(message) {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                reject(new Error("No active tab"));
+                return;
+            }
+            const tabId = tabs[0].id;
+            getActiveFrameId(tabId)
+                .then((frameId) => chrome.tabs.sendMessage(tabId, message, { frameId: frameId }))
+                .then(resolve)
+                .catch(reject);
+        });
+    });
+}
+
+/**
+ * アクティブタブの、フレームのパスで指定したフレームのコンテンツスクリプトにメッセージを送信する
+ * 
+ * フレームIDはそのタブの中でしか通用しないため、タブを閉じた後も使うレシピのパターンはフレームのパスで送信先を指定する
+ * メッセージは全フレームに届き、パスが一致するフレームだけが応答する
+ * 
+ * @param {number[]|undefined} framePath - 送信先のフレームのパス（省略時はトップフレーム）
+ * @param {object} message - 送信するメッセージ
+ * @returns {Promise<*>} コンテンツスクリプトからの応答
+ */
+function sendMessageToFramePath(framePath, message) {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                reject(new Error("No active tab"));
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, { ...message, framePath: framePath || [] }).then(resolve).catch(reject);
+        });
+    });
+}
+
+/**
+ * タブ内の全フレームのコンテンツスクリプトにメッセージを送信し、フレームごとの応答を集める
+ * コンテンツスクリプトが動作していない・応答しないフレームは結果に含めない
+ * 
+ * @param {number} tabId - 対象タブのID
+ * @param {object} message - 送信するメッセージ
+ * @returns {Promise<{ frameId: number, response: * }[]>} フレームごとの応答
+ */
+async function sendMessageToAllFrames(tabId, message) {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId: tabId });
+    const results = await Promise.all((frames || []).map((frame) => {
+        return chrome.tabs.sendMessage(tabId, message, { frameId: frame.frameId })
+            .then((response) => ({ frameId: frame.frameId, response: response }))
+            .catch(() => null);
+    }));
+    return results.filter((result) => result && result.response);
+}
+
+/**
+ * タブ内の全フレームの選択モードを設定する
+ * 
+ * @param {number} tabId - 対象タブのID
+ * @param {boolean} isActive - 選択モードを有効にする場合はtrue
+ * @returns {Promise<void>}
+ */
+function setSelectionModeInTab(tabId, isActive) {
+    return chrome.tabs.sendMessage(tabId, { action: "setSelectionMode", isActive: isActive })
+        .then(() => {})
+        .catch(() => {
+            // コンテンツスクリプトがないフレームだけのタブなどは無視
+        });
+}
+
+/**
+ * トップフレームの選択モードをトグルし、その結果をタブ内の全フレームに反映する
+ * 
+ * @param {number} tabId - 対象タブのID
+ * @returns {Promise<{ isActive: boolean }>} トップフレームのトグル結果
+ */
+async function toggleSelectionModeInTab(tabId) {
+    const response = await chrome.tabs.sendMessage(tabId, { action: "toggleSelectionMode" }, { frameId: 0 });
+    await setSelectionModeInTab(tabId, !!(response && response.isActive));
+    return response;
+}
+
+/**
+ * URLがレシピのURLパターンに一致するか判定する
+ * 
+ * パターンでは * を任意の文字列として扱い、それ以外は完全一致で比較する
+ * 例: "https://example.com/items/*" は "https://example.com/items/123" に一致
+ * 
+ * @param {string} url - 判定するURL
+ * @param {string} urlPattern - URLパターン
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesUrlPattern(url, urlPattern) {
+    if (!url || !urlPattern) {
+        return false;
+    }
+    const regexSource = urlPattern
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return new RegExp(`^${regexSource}$`).test(url);
+}
+
+/**
+ * 指定ミリ秒待機する
+ * 
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ========================================
+// フレームごとの抽出データ
+// ========================================
+
+// フレームごとの抽出データの更新を順番に行うためのキュー
+// 複数のフレームから同時に保存された場合に、読み込みと書き込みが入れ違わないようにする
+let frameResultsQueue = Promise.resolve();
+
+/**
+ * フレームごとの抽出データの更新をキューに追加する
+ * 
+ * @param {function(object|null): (object|null|undefined)} update - 保存済みのフレームごとの抽出データを受け取り、
+ *     保存する値（破棄する場合はnull、変更しない場合はundefined）を返す関数
+ * @returns {Promise<void>} 更新完了で解決するPromise
+ */
+function updateFrameResults(update) {
+    const task = frameResultsQueue.then(async () => {
+        const stored = await chrome.storage.local.get([FRAME_RESULTS_KEY]);
+        const frameResults = update(stored[FRAME_RESULTS_KEY] || null);
+        if (frameResults === undefined) {
+            return;
+        }
+        if (frameResults === null) {
+            await chrome.storage.local.remove(FRAME_RESULTS_KEY);
+            return;
+        }
+        const merged = mergeFrameResults(frameResults);
+        await chrome.storage.local.set({
+            [FRAME_RESULTS_KEY]: frameResults,
+            extractedData: merged.data,
+            patternInfo: merged.patternInfo,
+            timestamp: Date.now()
+        });
+    });
+    frameResultsQueue = task.catch(() => {});
+    return task;
+}
+
+/**
+ * パターンの操作を送るフレーム（最後に選択・パターンを保存したフレーム）のIDを取得する
+ * 
+ * @param {number} tabId - 対象タブのID
+ * @returns {Promise<number>} フレームID（別のタブの場合や未保存の場合はトップフレームの0）
+ */
+async function getActiveFrameId(tabId) {
+    const stored = await chrome.storage.local.get([FRAME_RESULTS_KEY]);
+    const frameResults = stored[FRAME_RESULTS_KEY];
+    return frameResults && frameResults.tabId === tabId ? frameResults.activeFrameId : 0;
+}
+
+/**
+ * フレームのパスを、結合したデータの「フレーム」列に表示する名前に変換する
+ * 例: [] は "top"、[1, 0] は "frame[2]/frame[1]"
+ * 
+ * @param {number[]} framePath - フレームのパス
+ * @returns {string} フレームの名前
+ */
+function getFrameLabel(framePath) {
+    if (framePath.length === 0) {
+        return "top";
+    }
+    return framePath.map((index) => `frame[${index + 1}]`).join("/");
+}
+
+/**
+ * フレームのパスを文書内の順（トップフレームが先頭）に並べるための比較関数
+ * 
+ * @param {number[]} a - フレームのパス
+ * @param {number[]} b - フレームのパス
+ * @returns {number} 比較結果
+ */
+function compareFramePaths(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return a.length - b.length;
+}
+
+/**
+ * フレームの抽出データに選択・パターンがあるかどうかを判定する
+ * 
+ * @param {object} result - フレームの抽出データ { framePath, data, patternInfo }
+ * @returns {boolean} 抽出データがあるかパターンを持つ場合はtrue
+ */
+function hasFrameData(result) {
+    return (Array.isArray(result.data) && result.data.length > 0) || !!(result.patternInfo && result.patternInfo.xpath);
+}
+
+/**
+ * フレームごとの抽出データを、Popupに表示する1つの抽出データに結合する
+ * 
+ * データがあるフレームが1つだけの場合はそのフレームの抽出データをそのまま使う
+ * 複数ある場合は、先頭にフレームの名前の列を付けた2次元データとしてフレームの順に連結する
+ * 列の設定やパターンの編集はフレームごとのパターンが対象のため、結合した場合のパターン情報には含めない（Popupは frameCount で判別する）
+ * 監視ログは1つのフレームの値の時系列のため、最後に保存したフレームが監視ログの場合は結合せずにそのまま使う
+ * 
+ * @param {object} frameResults - フレームごとの抽出データ（FRAME_RESULTS_KEY の形式）
+ * @returns {{ data: Array, patternInfo: object|null }} 結合した抽出データ
+ */
+function mergeFrameResults(frameResults) {
+    const active = frameResults.frames[frameResults.activeFrameId] || null;
+    const results = Object.values(frameResults.frames)
+        .filter((result) => Array.isArray(result.data) && result.data.length > 0)
+        .sort((a, b) => compareFramePaths(a.framePath, b.framePath));
+    
+    if (active && active.patternInfo && active.patternInfo.watch) {
+        return { data: active.data, patternInfo: active.patternInfo };
+    }
+    
+    if (results.length <= 1) {
+        const result = results[0] || active;
+        return result ? { data: result.data, patternInfo: result.patternInfo } : { data: [], patternInfo: null };
+    }
+    
+    const rows = [];
+    results.forEach((result) => {
+        const label = getFrameLabel(result.framePath);
+        result.data.forEach((row) => {
+            rows.push(Array.isArray(row) ? [label, ...row] : [label, row]);
+        });
+    });
+    
+    // 列名は全フレームで同じ場合のみ引き継ぐ
+    const base = (results.includes(active) ? active : results[0]).patternInfo || {};
+    const columnNames = JSON.stringify(base.columnNames);
+    const sameColumns = Array.isArray(base.columnNames) &&
+        results.every((result) => result.patternInfo && JSON.stringify(result.patternInfo.columnNames) === columnNames);
+    
+    return {
+        data: rows,
+        patternInfo: {
+            type: "2d",
+            xpath: base.xpath,
+            rows: rows.length,
+            cols: Math.max(...rows.map((row) => row.length)),
+            columnNames: sameColumns ? ["フレーム", ...base.columnNames] : undefined,
+            frameCount: results.length,
+            url: base.url,
+            title: base.title
+        }
+    };
+}
+
+/**
+ * フレームごとに検出した繰り返し構造の候補を1つの一覧にまとめる
+ * 
+ * 候補には検出したフレームのIDを付け、ハイライト・適用はそのフレームに送る
+ * 子フレームの候補の名前にはフレームの名前を付け、全フレームの候補を「件数 × 規則性」の高い順に並べる
+ * 
+ * @param {{ frameId: number, response: object }[]} results - フレームごとの scanCandidates の応答
+ * @returns {object[]} 候補の一覧
+ */
+function mergeFrameCandidates(results) {
+    const candidates = [];
+    results.forEach((result) => {
+        if (!result.response.success || !Array.isArray(result.response.candidates)) {
+            return;
+        }
+        const framePath = Array.isArray(result.response.framePath) ? result.response.framePath : [];
+        result.response.candidates.forEach((candidate) => {
+            candidates.push({
+                ...candidate,
+                frameId: result.frameId,
+                framePath: framePath,
+                label: framePath.length > 0 ? `${getFrameLabel(framePath)}: ${candidate.label}` : candidate.label
+            });
+        });
+    });
+    return candidates.sort((a, b) => b.rowCount * b.regularity - a.rowCount * a.regularity);
+}
+
+/**
+ * フレームから送られた抽出データを保存し、全フレームの抽出データを結合し直す
+ * 
+ * 選択・パターンを持つ抽出データを保存したフレームを、以降のパターンの操作の送信先にする
+ * 
+ * @param {number} tabId - 送信元のタブのID
+ * @param {number} frameId - 送信元のフレームのID
+ * @param {Array} data - 抽出データ
+ * @param {object} patternInfo - パターン情報（framePath にフレームのパスを持つ）
+ * @returns {Promise<void>} 保存完了で解決するPromise
+ */
+function saveFrameResult(tabId, frameId, data, patternInfo) {
+    return updateFrameResults((stored) => {
+        // 別のタブのフレームの抽出データは引き継がない
+        const frameResults = stored && stored.tabId === tabId ? stored : { tabId: tabId, activeFrameId: 0, frames: {} };
+        const framePath = patternInfo && Array.isArray(patternInfo.framePath) ? patternInfo.framePath : [];
+        const result = { framePath: framePath, data: data, patternInfo: patternInfo };
+        frameResults.frames[frameId] = result;
+        if (hasFrameData(result)) {
+            frameResults.activeFrameId = frameId;
+        } else if (frameResults.activeFrameId === frameId) {
+            // 選択を解除したフレームの代わりに、選択・パターンが残っている別のフレームを送信先にする
+            const remainingId = Object.keys(frameResults.frames).find((id) => hasFrameData(frameResults.frames[id]));
+            if (remainingId !== undefined) {
+                frameResults.activeFrameId = Number(remainingId);
+            }
+        }
+        return frameResults;
+    });
+}
+
+// ========================================
+// ページ巡回（ページネーション）
+// ========================================
+
+// 実行中のページ巡回の状態（Service Worker内でのみ保持）
+// { tabId: number, stopRequested: boolean } または null
+let paginationCrawl = null;
+
+/**
+ * ジョブの進捗をストレージに保存する（ポップアップが onChanged で表示を更新する）
+ * 
+ * @param {object} status - { kind, running, page, maxPages, step, rowCount, message, tabId }
+ */
+function setJobStatus(status) {
+    chrome.storage.local.set({ [JOB_STATUS_KEY]: status });
+}
+
+/**
+ * コンテンツスクリプトにメッセージを送信する
+ * ページ遷移直後はコンテンツスクリプトがまだ読み込まれていないため、失敗時は再試行する
+ * 
+ * @param {number} tabId - 送信先タブのID
+ * @param {object} message - 送信するメッセージ
+ * @returns {Promise<*>} コンテンツスクリプトからの応答
+ */
+async function sendMessageWithRetry(tabId, message) {
+    let lastError = null;
+    for (let attempt = 0; attempt < CONTENT_SCRIPT_RETRY_COUNT; attempt++) {
+        try {
+            return await chrome.tabs.sendMessage(tabId, message);
+        } catch (error) {
+            lastError = error;
+            await delay(CONTENT_SCRIPT_RETRY_INTERVAL_MS);
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * 「次へ」クリック後のページ読み込みとDOMの安定を待つ
+ * 通常のページ遷移とSPA（同一ページ内での書き換え）の両方に対応する
+ * 
+ * @param {number} tabId - 対象タブのID
+ * @param {number[]} framePath - パターンを持つフレームのパス
+ */
+async function waitForPageReady(tabId, framePath) {
+    // クリックによる遷移が始まるのを待つ
+    await delay(500);
+    
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < PAGE_LOAD_TIMEOUT_MS) {
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.status === "complete") {
+            break;
+        }
+        await delay(200);
+    }
+    
+    await sendMessageWithRetry(tabId, { action: "waitForDomSettle", framePath: framePath });
+}
+
+/**
+ * 1ページ分の抽出データを、先頭にページ番号列を付けて結合先に追加する
+ * 
+ * @param {Array[]} rows - 結合先の行配列
+ * @param {Array} data - 1ページ分の抽出データ（1次元または2次元）
+ * @param {number} page - ページ番号（1始まり）
+ */
+function appendPageRows(rows, data, page) {
+    (data || []).forEach((row) => {
+        rows.push(Array.isArray(row) ? [page, ...row] : [page, row]);
+    });
+}
+
+/**
+ * 現在のパターンで「次へ」をたどりながら複数ページのデータを抽出する
+ * 
+ * パターンと「次へ」要素は、レシピと同じくフレームのパスで送信先のフレームを指定する
+ * 
+ * 終了条件:
+ * - 「次へ」要素が見つからない、または無効化されている
+ * - 最大ページ数に達した
+ * - 停止ボタンが押された
+ * - クリック後も同じ内容のページが表示されている
+ * 
+ * @param {number} tabId - 対象タブのID
+ * @param {number} maxPages - 最大ページ数
+ */
+async function runPaginationCrawl(tabId, maxPages) {
+    const stored = await chrome.storage.local.get([NEXT_PAGE_XPATH_KEY, NEXT_PAGE_FRAME_PATH_KEY]);
+    const nextPageXPath = stored[NEXT_PAGE_XPATH_KEY];
+    const nextPageFramePath = stored[NEXT_PAGE_FRAME_PATH_KEY] || [];
+    const frameId = await getActiveFrameId(tabId);
+    const snapshot = await chrome.tabs.sendMessage(tabId, { action: "getPatternSnapshot" }, { frameId: frameId });
+    const pattern = snapshot ? snapshot.pattern : null;
+    
+    if (!pattern || !nextPageXPath) {
+        setJobStatus({ kind: "pagination", running: false, message: "パターンと「次へ」要素を指定してください" });
+        return;
+    }
+    
+    const rows = [];
+    let patternInfo = null;
+    let previousPageData = null;
+    let page = 1;
+    let message = "";
+    
+    for (; page <= maxPages; page++) {
+        setJobStatus({ kind: "pagination", running: true, page: page, maxPages: maxPages, rowCount: rows.length });
+        
+        const result = await sendMessageWithRetry(tabId, { action: "extractWithPattern", pattern: pattern, framePath: pattern.framePath });
+        const pageData = JSON.stringify(result ? result.data : null);
+        if (pageData === previousPageData) {
+            message = "ページが切り替わらなかったため終了しました";
+            page--;
+            break;
+        }
+        previousPageData = pageData;
+        patternInfo = patternInfo || result.patternInfo;
+        appendPageRows(rows, result.data, page);
+        
+        // 途中経過も保存してポップアップに表示する
+        const columnNames = Array.isArray(patternInfo.columnNames) ? ["ページ", ...patternInfo.columnNames] : undefined;
+        await chrome.storage.local.set({
+            extractedData: rows,
+            patternInfo: {
+                ...patternInfo,
+                type: "2d",
+                rows: rows.length,
+                cols: rows.length > 0 ? Math.max(...rows.map((row) => row.length)) : 0,
+                pageCount: page,
+                columnNames: columnNames,
+                // 入れ子のデータ・列構成の異なる行は1ページ目の分しかないため保存しない
+                nestedData: undefined,
+                irregularRows: undefined
+            },
+            timestamp: Date.now()
+        });
+        
+        if (paginationCrawl.stopRequested) {
+            message = "停止しました";
+            break;
+        }
+        if (page === maxPages) {
+            message = "最大ページ数に達しました";
+            break;
+        }
+        
+        const click = await chrome.tabs.sendMessage(tabId, { action: "clickNextPage", xpath: nextPageXPath, framePath: nextPageFramePath });
+        if (!click || !click.found) {
+            message = "「次へ」要素がないため終了しました";
+            break;
+        }
+        await waitForPageReady(tabId, pattern.framePath);
+    }
+    
+    setJobStatus({
+        kind: "pagination",
+        running: false,
+        page: Math.min(page, maxPages),
+        maxPages: maxPages,
+        rowCount: rows.length,
+        message: message
+    });
+}
+
+// ========================================
+// レシピ管理関数
+// ========================================
+
+/**
+ * レシピ同期が有効かどうかを取得する
+ * 
+ * @param {function(boolean): void} callback - 設定値を受け取るコールバック
+ */
+function getRecipeSyncEnabled(callback) {
+    chrome.storage.local.get([RECIPE_SYNC_SETTING_KEY], (result) => {
+        callback(result[RECIPE_SYNC_SETTING_KEY] === true);
+    });
+}
+
+/**
+ * 指定したストレージ領域からレシピを読み込む
+ * 
+ * @param {boolean} useSync - trueの場合は chrome.storage.sync から読み込む
+ * @param {function(object[]): void} callback - 読み込んだレシピを受け取るコールバック
+ */
+function loadRecipesFromArea(useSync, callback) {
+    if (!useSync) {
+        chrome.storage.local.get([RECIPES_STORAGE_KEY], (result) => {
+            callback(Array.isArray(result[RECIPES_STORAGE_KEY]) ? result[RECIPES_STORAGE_KEY] : []);
+        });
+        return;
+    }
+    
+    chrome.storage.sync.get(null, (items) => {
+        const recipes = Object.keys(items || {})
+            .filter((key) => key.startsWith(SYNC_RECIPE_KEY_PREFIX))
+            .map((key) => items[key])
+            .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        callback(recipes);
+    });
+}
+
+/**
+ * 指定したストレージ領域にレシピ一覧を保存する
+ * 
+ * @param {boolean} useSync - trueの場合は chrome.storage.sync に保存する
+ * @param {object[]} recipes - 保存するレシピの配列
+ * @param {function(string|null): void} callback - 保存完了時のコールバック（失敗時はエラーメッセージ）
+ */
+function storeRecipesToArea(useSync, recipes, callback) {
+    if (!useSync) {
+        chrome.storage.local.set({ [RECIPES_STORAGE_KEY]: recipes }, () => {
+            callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+        });
+        return;
+    }
+    
+    chrome.storage.sync.get(null, (items) => {
+        // 一覧から削除されたレシピのキーを取り除く
+        const keepKeys = new Set(recipes.map((recipe) => SYNC_RECIPE_KEY_PREFIX + recipe.id));
+        const staleKeys = Object.keys(items || {})
+            .filter((key) => key.startsWith(SYNC_RECIPE_KEY_PREFIX) && !keepKeys.has(key));
+        
+        const updates = {};
+        recipes.forEach((recipe) => {
+            updates[SYNC_RECIPE_KEY_PREFIX + recipe.id] = recipe;
+        });
+        
+        chrome.storage.sync.remove(staleKeys, () => {
+            chrome.storage.sync.set(updates, () => {
+                // 容量制限（QUOTA_BYTES_PER_ITEM など）を超えた場合はエラーになる
+                callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+            });
+        });
+    });
+}
+
+/**
+ * 保存されている全レシピを読み込む
+ * 同期が有効な場合は chrome.storage.sync、無効な場合は chrome.storage.local を使用する
+ * 
+ * レシピの形式:
+ * { id, name, urlPattern, pattern: { type, xpath, variableIndices, ... }, autoApply, createdAt, updatedAt }
+ * 
+ * @param {function(object[]): void} callback - 読み込んだレシピを受け取るコールバック
+ */
+function loadRecipes(callback) {
+    getRecipeSyncEnabled((useSync) => {
+        loadRecipesFromArea(useSync, callback);
+    });
+}
+
+/**
+ * レシピ一覧を保存する
+ * 
+ * @param {object[]} recipes - 保存するレシピの配列
+ * @param {function(string|null): void} callback - 保存完了時のコールバック（失敗時はエラーメッセージ）
+ */
+function storeRecipes(recipes, callback) {
+    getRecipeSyncEnabled((useSync) => {
+        storeRecipesToArea(useSync, recipes, callback);
+    });
+}
+
+/**
+ * レシピ同期の有効・無効を切り替える
+ * 
+ * 切り替え時は移行元のレシピを移行先にマージするため、
+ * 同期を有効にしても無効にしても手元のレシピは失われない
+ * 同じIDのレシピは更新日時が新しい方を採用する
+ * 
+ * @param {boolean} enabled - 同期を有効にする場合はtrue
+ * @param {function(string|null): void} callback - 完了時のコールバック（失敗時はエラーメッセージ）
+ */
+function setRecipeSyncEnabled(enabled, callback) {
+    getRecipeSyncEnabled((currentlyEnabled) => {
+        if (currentlyEnabled === enabled) {
+            callback(null);
+            return;
+        }
+        
+        loadRecipesFromArea(currentlyEnabled, (sourceRecipes) => {
+            loadRecipesFromArea(enabled, (targetRecipes) => {
+                const merged = [...targetRecipes];
+                sourceRecipes.forEach((recipe) => {
+                    const index = merged.findIndex((item) => item.id === recipe.id);
+                    if (index === -1) {
+                        merged.push(recipe);
+                    } else if ((recipe.updatedAt || 0) > (merged[index].updatedAt || 0)) {
+                        merged[index] = recipe;
+                    }
+                });
+                
+                storeRecipesToArea(enabled, merged, (error) => {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+                    chrome.storage.local.set({ [RECIPE_SYNC_SETTING_KEY]: enabled }, () => {
+                        callback(null);
+                    });
+                });
+            });
+        });
+    });
+}
+
+/**
+ * インポートしたレシピが必要な項目を持っているか検証する
+ * 
+ * @param {*} recipe - 検証するレシピ
+ * @returns {boolean} 有効なレシピの場合はtrue
+ */
+function isValidRecipe(recipe) {
+    return !!recipe &&
+        typeof recipe.name === "string" && recipe.name.length > 0 &&
+        typeof recipe.urlPattern === "string" && recipe.urlPattern.length > 0 &&
+        !!recipe.pattern && typeof recipe.pattern.xpath === "string";
+}
+
+/**
+ * インポートしたレシピを既存のレシピにマージする
+ * 
+ * 同じIDのレシピ、または同じ名前・URLパターンのレシピを競合とみなし、
+ * conflictMode に従って処理する
+ * - "keep": 既存のレシピを残し、インポートしたレシピは破棄
+ * - "replace": 既存のレシピをインポートしたレシピで置き換え
+ * - "rename": 名前に連番を付けて別のレシピとして追加
+ * 
+ * @param {object[]} existingRecipes - 既存のレシピ
+ * @param {object[]} importedRecipes - インポートするレシピ
+ * @param {"keep"|"replace"|"rename"} conflictMode - 競合時の処理方法
+ * @returns {{ recipes: object[], summary: { added: number, replaced: number, renamed: number, skipped: number } }}
+ */
+function mergeImportedRecipes(existingRecipes, importedRecipes, conflictMode) {
+    const recipes = [...existingRecipes];
+    const summary = { added: 0, replaced: 0, renamed: 0, skipped: 0 };
+    const now = Date.now();
+    
+    importedRecipes.forEach((imported) => {
+        if (!isValidRecipe(imported)) {
+            summary.skipped++;
+            return;
+        }
+        
+        const recipe = {
+            id: typeof imported.id === "string" && imported.id ? imported.id : generateRecipeId(),
+            name: imported.name,
+            urlPattern: imported.urlPattern,
+            pattern: imported.pattern,
+            autoApply: imported.autoApply === true,
+            createdAt: imported.createdAt || now,
+            updatedAt: imported.updatedAt || now
+        };
+        
+        const conflictIndex = recipes.findIndex((item) =>
+            item.id === recipe.id || (item.name === recipe.name && item.urlPattern === recipe.urlPattern)
+        );
+        
+        if (conflictIndex === -1) {
+            recipes.push(recipe);
+            summary.added++;
+            return;
+        }
+        
+        if (conflictMode === "replace") {
+            // 既存レシピのIDを引き継いで置き換える
+            recipes[conflictIndex] = { ...recipe, id: recipes[conflictIndex].id, updatedAt: now };
+            summary.replaced++;
+        } else if (conflictMode === "rename") {
+            let suffix = 2;
+            let name = `${recipe.name} (${suffix})`;
+            while (recipes.some((item) => item.name === name && item.urlPattern === recipe.urlPattern)) {
+                suffix++;
+                name = `${recipe.name} (${suffix})`;
+            }
+            recipes.push({ ...recipe, id: generateRecipeId(), name: name, createdAt: now, updatedAt: now });
+            summary.renamed++;
+        } else {
+            summary.skipped++;
+        }
+    });
+    
+    return { recipes, summary };
+}
+
+/**
+ * 一致件数をツールバーアイコンのバッジに表示する
+ * 件数がnullの場合はバッジを消す
+ * 
+ * @param {number} tabId - 対象タブのID
+ * @param {number|null} count - 表示する件数
+ */
+function updateMatchBadge(tabId, count) {
+    if (count === null || count === undefined) {
+        chrome.action.setBadgeText({ text: "", tabId: tabId });
+        return;
+    }
+    // バッジは4文字程度までしか表示できないため大きな件数は省略表記にする
+    const text = count > 9999 ? "9999+" : String(count);
+    chrome.action.setBadgeText({ text: text, tabId: tabId });
+    chrome.action.setBadgeBackgroundColor({ color: count > 0 ? "#4CAF50" : "#9E9E9E", tabId: tabId });
+}
+
+/**
+ * 新しいレシピIDを生成する
+ * 
+ * @returns {string} レシピID
+ */
+function generateRecipeId() {
+    return `recipe-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
 // ========================================
 // メッセージハンドラ
 // ========================================
@@ -37,19 +822,20 @@ chrome.commands.onCommand.addListener((command) => {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // 抽出データの保存リクエスト
     if (request.action === "saveExtractedData") {
-        chrome.storage.local.set({
-            extractedData: request.data,
-            patternInfo: request.patternInfo,
-            timestamp: Date.now()
-        }, () => {
-            sendResponse({ success: true });
-        });
+        const tabId = sender.tab ? sender.tab.id : null;
+        saveFrameResult(tabId, sender.frameId || 0, request.data, request.patternInfo)
+            .then(() => {
+                sendResponse({ success: true });
+            })
+            .catch((error) => {
+                sendResponse({ success: false, error: error.message });
+            });
         return true; // 非同期レスポンスを示す
     }
     
     // 抽出データの取得リクエスト
     if (request.action === "getExtractedData") {
-        chrome.storage.local.get(["extractedData", "patternInfo", "timestamp"], (result) => {
+        chrome.storage.local.get(EXTRACTED_DATA_KEYS, (result) => {
             sendResponse({
                 data: result.extractedData || null,
                 patternInfo: result.patternInfo || null,
@@ -61,12 +847,13 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     // データクリアリクエスト
     if (request.action === "clearData") {
-        chrome.storage.local.remove(["extractedData", "patternInfo", "timestamp"], () => {
-            // 現在のタブにクリア通知を送信
+        chrome.storage.local.remove([...EXTRACTED_DATA_KEYS, FRAME_RESULTS_KEY], () => {
+            // 現在のタブの全フレームにクリア通知を送信し、一致件数バッジも消す
             chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
                 if (tabs[0] && tabs[0].id) {
                     chrome.tabs.sendMessage(tabs[0].id, { action: "clearSelection" })
                         .catch(() => {});
+                    updateMatchBadge(tabs[0].id, null);
                 }
             });
             sendResponse({ success: true });
@@ -78,7 +865,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "toggleFromPopup") {
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
             if (tabs[0] && tabs[0].id) {
-                chrome.tabs.sendMessage(tabs[0].id, { action: "toggleSelectionMode" })
+                toggleSelectionModeInTab(tabs[0].id)
                     .then((response) => {
                         // コンテンツスクリプト側のトグル結果（isActive）をそのまま返す
                         sendResponse(response);
@@ -95,11 +882,401 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
     
-    // 現在の選択モード状態を取得
+    // アクティブタブのURLに一致するレシピ一覧を取得
+    if (request.action === "getRecipesForActiveTab") {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            const url = tabs[0] && tabs[0].url ? tabs[0].url : "";
+            loadRecipes((recipes) => {
+                sendResponse({
+                    url: url,
+                    recipes: recipes.filter((recipe) => matchesUrlPattern(url, recipe.urlPattern))
+                });
+            });
+        });
+        return true;
+    }
+    
+    // 現在のパターンをレシピとして保存（同名・同URLパターンのレシピは上書き）
+    if (request.action === "saveRecipe") {
+        sendMessageToActiveTab({ action: "getPatternSnapshot" })
+            .then((response) => {
+                if (!response || !response.pattern) {
+                    sendResponse({ success: false, error: "No pattern" });
+                    return;
+                }
+                loadRecipes((recipes) => {
+                    const now = Date.now();
+                    const existing = recipes.find((recipe) =>
+                        recipe.name === request.name && recipe.urlPattern === request.urlPattern
+                    );
+                    if (existing) {
+                        existing.pattern = response.pattern;
+                        existing.updatedAt = now;
+                    } else {
+                        recipes.push({
+                            id: generateRecipeId(),
+                            name: request.name,
+                            urlPattern: request.urlPattern,
+                            pattern: response.pattern,
+                            autoApply: false,
+                            createdAt: now,
+                            updatedAt: now
+                        });
+                    }
+                    storeRecipes(recipes, (error) => {
+                        sendResponse({ success: !error, error: error });
+                    });
+                });
+            })
+            .catch((error) => {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+    
+    // レシピをアクティブタブに適用
+    if (request.action === "applyRecipe") {
+        loadRecipes((recipes) => {
+            const recipe = recipes.find((item) => item.id === request.recipeId);
+            if (!recipe) {
+                sendResponse({ success: false, error: "Recipe not found" });
+                return;
+            }
+            // レシピのパターンは保存したときと同じ位置のフレームで評価する
+            sendMessageToFramePath(recipe.pattern.framePath, { action: "applyPattern", pattern: recipe.pattern })
+                .then((response) => {
+                    sendResponse(response);
+                })
+                .catch((error) => {
+                    sendResponse({ success: false, error: error.message });
+                });
+        });
+        return true;
+    }
+    
+    // レシピの自動適用の切り替え
+    if (request.action === "setRecipeAutoApply") {
+        loadRecipes((recipes) => {
+            const recipe = recipes.find((item) => item.id === request.recipeId);
+            if (!recipe) {
+                sendResponse({ success: false, error: "Recipe not found" });
+                return;
+            }
+            recipe.autoApply = !!request.enabled;
+            recipe.updatedAt = Date.now();
+            storeRecipes(recipes, (error) => {
+                sendResponse({ success: !error, error: error });
+            });
+        });
+        return true;
+    }
+    
+    // ページ読み込み時に自動適用するレシピの取得（コンテンツスクリプトから）
+    if (request.action === "getAutoApplyRecipe") {
+        // 子フレームからの場合も、レシピのURLパターンはタブ（トップフレーム）のURLで判定する
+        const url = sender.frameId ? sender.tab.url : (request.url || (sender.tab ? sender.tab.url : ""));
+        // ページ巡回中は巡回側で抽出するため自動適用しない
+        if (paginationCrawl && sender.tab && paginationCrawl.tabId === sender.tab.id) {
+            sendResponse({ recipe: null });
+            return true;
+        }
+        loadRecipes((recipes) => {
+            const recipe = recipes.find((item) => item.autoApply && matchesUrlPattern(url, item.urlPattern));
+            sendResponse({ recipe: recipe || null });
+        });
+        return true;
+    }
+    
+    // 一致件数バッジの更新（コンテンツスクリプトから）
+    if (request.action === "updateMatchBadge") {
+        const tabId = sender.tab ? sender.tab.id : null;
+        if (tabId) {
+            updateMatchBadge(tabId, request.count);
+        }
+        sendResponse({ success: true });
+        return true;
+    }
+    
+    // レシピの削除
+    if (request.action === "deleteRecipe") {
+        loadRecipes((recipes) => {
+            storeRecipes(recipes.filter((recipe) => recipe.id !== request.recipeId), (error) => {
+                sendResponse({ success: !error, error: error });
+            });
+        });
+        return true;
+    }
+    
+    // 全レシピの取得（ライブラリ画面用）
+    if (request.action === "getAllRecipes") {
+        getRecipeSyncEnabled((syncEnabled) => {
+            loadRecipesFromArea(syncEnabled, (recipes) => {
+                sendResponse({ recipes: recipes, syncEnabled: syncEnabled });
+            });
+        });
+        return true;
+    }
+    
+    // レシピのエクスポート（recipeIds 省略時は全件）
+    if (request.action === "exportRecipes") {
+        loadRecipes((recipes) => {
+            const ids = Array.isArray(request.recipeIds) ? request.recipeIds : null;
+            sendResponse({
+                format: RECIPE_EXPORT_FORMAT,
+                version: RECIPE_EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                recipes: ids ? recipes.filter((recipe) => ids.includes(recipe.id)) : recipes
+            });
+        });
+        return true;
+    }
+    
+    // エクスポートファイルからのレシピのインポート
+    if (request.action === "importRecipes") {
+        const file = request.file;
+        if (!file || file.format !== RECIPE_EXPORT_FORMAT || !Array.isArray(file.recipes)) {
+            sendResponse({ success: false, error: "Invalid file format" });
+            return true;
+        }
+        if (typeof file.version !== "number" || file.version > RECIPE_EXPORT_VERSION) {
+            sendResponse({ success: false, error: "Unsupported version" });
+            return true;
+        }
+        loadRecipes((recipes) => {
+            const result = mergeImportedRecipes(recipes, file.recipes, request.conflictMode);
+            storeRecipes(result.recipes, (error) => {
+                sendResponse({ success: !error, error: error, summary: result.summary });
+            });
+        });
+        return true;
+    }
+    
+    // レシピ同期の切り替え
+    if (request.action === "setRecipeSyncEnabled") {
+        setRecipeSyncEnabled(!!request.enabled, (error) => {
+            sendResponse({ success: !error, error: error });
+        });
+        return true;
+    }
+    
+    // 「次へ」要素の指定モードを開始（Popupから）
+    if (request.action === "startNextPagePicking") {
+        sendMessageToActiveTab({ action: "startNextPagePicking" })
+            .then((response) => {
+                sendResponse(response);
+            })
+            .catch((error) => {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+    
+    // 「次へ」要素のXPathを保存（コンテンツスクリプトから）
+    if (request.action === "setNextPageXPath") {
+        chrome.storage.local.set({
+            [NEXT_PAGE_XPATH_KEY]: request.xpath,
+            [NEXT_PAGE_FRAME_PATH_KEY]: request.framePath || []
+        }, () => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+    
+    // ページ巡回とジョブ進捗の状態を取得
+    if (request.action === "getJobState") {
+        chrome.storage.local.get([NEXT_PAGE_XPATH_KEY, JOB_STATUS_KEY], (result) => {
+            sendResponse({
+                nextPageXPath: result[NEXT_PAGE_XPATH_KEY] || null,
+                jobStatus: result[JOB_STATUS_KEY] || null
+            });
+        });
+        return true;
+    }
+    
+    // ページ巡回の開始
+    if (request.action === "startPaginationCrawl") {
+        if (paginationCrawl) {
+            sendResponse({ success: false, error: "Already running" });
+            return true;
+        }
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                sendResponse({ success: false, error: "No active tab" });
+                return;
+            }
+            const tabId = tabs[0].id;
+            const maxPages = Math.max(1, parseInt(request.maxPages, 10) || DEFAULT_MAX_PAGES);
+            paginationCrawl = { tabId: tabId, stopRequested: false };
+            
+            runPaginationCrawl(tabId, maxPages)
+                .catch((error) => {
+                    setJobStatus({ kind: "pagination", running: false, message: `エラー: ${error.message}` });
+                })
+                .finally(() => {
+                    paginationCrawl = null;
+                });
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+    
+    // レコードのフィールド指定・削除、列の抽出元・列名と並び順、2次元の行と列の入れ替え、除外の削除、
+    // パターンXPathのプレビュー・適用・セグメントの切り替え、
+    // 提案中のリストの確定、N次元の階層の出力方法・テーブルの tfoot の設定（Popupから）
+    if (
+        request.action === "startFieldPicking" ||
+        request.action === "removeRecordField" ||
+        request.action === "setColumnSetting" ||
+        request.action === "updateColumnLayout" ||
+        request.action === "setAxesSwapped" ||
+        request.action === "removeExclusion" ||
+        request.action === "previewPatternXPath" ||
+        request.action === "cancelPatternXPathPreview" ||
+        request.action === "setPatternXPath" ||
+        request.action === "togglePatternSegment" ||
+        request.action === "acceptListSuggestion" ||
+        request.action === "setLevelMode" ||
+        request.action === "setTableFooterIncluded"
+    ) {
+        sendMessageToActiveTab(request)
+            .then((response) => {
+                sendResponse(response);
+            })
+            .catch((error) => {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+    
+    // 繰り返し構造の候補の検出（全フレームで検出して1つの一覧にまとめる）
+    if (request.action === "scanCandidates") {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                sendResponse({ success: false, error: "No active tab" });
+                return;
+            }
+            sendMessageToAllFrames(tabs[0].id, { action: "scanCandidates" })
+                .then((results) => {
+                    sendResponse({ success: results.length > 0, candidates: mergeFrameCandidates(results) });
+                })
+                .catch((error) => {
+                    sendResponse({ success: false, error: error.message });
+                });
+        });
+        return true;
+    }
+    
+    // 候補のハイライト（他のフレームのハイライトを消してから、候補を検出したフレームでハイライトする）
+    if (request.action === "highlightCandidate") {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                sendResponse({ success: false, error: "No active tab" });
+                return;
+            }
+            const tabId = tabs[0].id;
+            sendMessageToAllFrames(tabId, { action: "highlightCandidate", index: null })
+                .then(() => {
+                    if (request.index === null || request.index === undefined) {
+                        return { success: true };
+                    }
+                    return chrome.tabs.sendMessage(tabId, { action: "highlightCandidate", index: request.index }, { frameId: request.frameId || 0 });
+                })
+                .then((response) => {
+                    sendResponse(response);
+                })
+                .catch((error) => {
+                    sendResponse({ success: false, error: error.message });
+                });
+        });
+        return true;
+    }
+    
+    // 候補の適用（候補を検出したフレームで適用する）
+    if (request.action === "applyCandidate") {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                sendResponse({ success: false, error: "No active tab" });
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, { action: "applyCandidate", index: request.index }, { frameId: request.frameId || 0 })
+                .then((response) => {
+                    sendResponse(response);
+                })
+                .catch((error) => {
+                    sendResponse({ success: false, error: error.message });
+                });
+        });
+        return true;
+    }
+    
+    // スクロール収集・監視モードの開始（Popupから）
+    if (request.action === "startScrollCollection" || request.action === "startWatch") {
+        sendMessageToActiveTab({ action: request.action, options: request.options })
+            .then((response) => {
+                sendResponse(response);
+            })
+            .catch((error) => {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+    
+    // ジョブの進捗の更新（コンテンツスクリプトで実行するジョブから）
+    if (request.action === "setJobStatus") {
+        // ページ遷移時に中断させるため、どのタブで実行中のジョブかを記録する
+        setJobStatus({ ...request.status, tabId: sender.tab ? sender.tab.id : null });
+        sendResponse({ success: true });
+        return true;
+    }
+    
+    // 実行中のジョブを停止
+    // ページ巡回はService Worker内、スクロール収集・監視モードはコンテンツスクリプト内で実行している
+    // ジョブを実行中のフレームは最後に選択したフレームとは限らないため、全フレームに送る
+    if (request.action === "stopJob") {
+        if (paginationCrawl) {
+            paginationCrawl.stopRequested = true;
+            sendResponse({ success: true });
+            return true;
+        }
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                sendResponse({ success: false, error: "No active tab" });
+                return;
+            }
+            // ジョブを実行しているフレームは分からないため、全フレームに送る
+            sendMessageToAllFrames(tabs[0].id, { action: "stopJob" })
+                .then((results) => {
+                    // 実行中だったページから遷移した後などで、どのフレームにも停止するジョブがない場合は終了状態にする
+                    if (!results.some((result) => result.response.stopped)) {
+                        setJobStatus({ running: false, message: "停止しました" });
+                    }
+                    sendResponse({ success: true });
+                })
+                .catch((error) => {
+                    sendResponse({ success: false, error: error.message });
+                });
+        });
+        return true;
+    }
+    
+    // タブ内の全フレームの選択モードを設定（Escキーで終了したフレームから）
+    if (request.action === "setSelectionModeInTab") {
+        const tabId = sender.tab ? sender.tab.id : null;
+        if (!tabId) {
+            sendResponse({ success: false, error: "No tab" });
+            return true;
+        }
+        setSelectionModeInTab(tabId, !!request.isActive).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+    
+    // 現在の選択モード状態を取得（トップフレームの状態を全フレームの状態とする）
     if (request.action === "getSelectionMode") {
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
             if (tabs[0] && tabs[0].id) {
-                chrome.tabs.sendMessage(tabs[0].id, { action: "getSelectionMode" })
+                chrome.tabs.sendMessage(tabs[0].id, { action: "getSelectionMode" }, { frameId: 0 })
                     .then((response) => {
                         sendResponse(response);
                     })
@@ -115,12 +1292,55 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     }
 });
 
+// ========================================
+// タブ状態の監視
+// ========================================
+
+/**
+ * タブで実行中だったスクロール収集・監視モードを終了状態にする
+ * コンテンツスクリプトはページの遷移やタブを閉じたときに破棄され、自分では終了を通知できないため
+ * 
+ * @param {number} tabId - 遷移した、または閉じたタブのID
+ */
+function interruptTabJob(tabId) {
+    chrome.storage.local.get([JOB_STATUS_KEY], (result) => {
+        const status = result[JOB_STATUS_KEY];
+        const isContentJob = status && (status.kind === "scroll" || status.kind === "watch");
+        if (isContentJob && status.running && status.tabId === tabId) {
+            setJobStatus({ ...status, running: false, message: "ページが移動したため中断されました" });
+        }
+    });
+}
+
+// ページ遷移時は前のページの一致件数バッジを消し、そのページで実行中だったジョブを中断扱いにする
+// 遷移前のページのフレームはなくなるため、そのタブのフレームごとの抽出データも破棄する（結合済みの抽出データは残す）
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === "loading") {
+        updateMatchBadge(tabId, null);
+        interruptTabJob(tabId);
+        updateFrameResults((stored) => (stored && stored.tabId === tabId ? null : undefined)).catch(() => {});
+    }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    interruptTabJob(tabId);
+});
+
+// Service Workerが再起動した場合は実行中だったページ巡回の状態が失われるため、
+// 進捗表示が実行中のまま残らないよう終了状態にする
+chrome.storage.local.get([JOB_STATUS_KEY], (result) => {
+    const status = result[JOB_STATUS_KEY];
+    if (status && status.kind === "pagination" && status.running && !paginationCrawl) {
+        setJobStatus({ ...status, running: false, message: "中断されました" });
+    }
+});
+
 // ========================================
 // 拡張機能インストール時の初期化
 // ========================================
 
 chrome.runtime.onInstalled.addListener(() => {
     console.log("XPath Pattern Extractor installed successfully");
-    // 初期状態でストレージをクリア
-    chrome.storage.local.clear();
+    // 前回の抽出データと巡回状態のみクリアし、保存済みレシピは更新後も保持する
+    chrome.storage.local.remove([...EXTRACTED_DATA_KEYS, FRAME_RESULTS_KEY, JOB_STATUS_KEY]);
 });
@@ -3,9 +3,21 @@
  * 主な機能:
  * 1. 要素のクリック検出とハイライト表示
  * 2. XPathの自動生成
- * 3. 複数要素からのパターン認識（1次元・2次元配列）
+ * 3. 複数要素からのパターン認識（1次元・2次元・N次元配列）と、属性・クラスを使った安定したパターンへの一般化
  * 4. パターンに基づく全要素の自動検出
- * 5. テキストデータの抽出
+ * 5. テキスト・属性・HTML・フォーム値など、列ごとに指定した値の抽出
+ * 6. 保存済みパターン（レシピ）の適用とページ読み込み時の自動適用
+ * 7. ページ巡回用の「次へ」要素の指定とクリック
+ * 8. 無限スクロール・仮想リスト向けのスクロールしながらの収集
+ * 9. 一致要素の値の変化を時系列で記録する監視モード
+ * 10. 繰り返し要素（コンテナ）からの名前付きフィールドのレコード抽出
+ * 11. thead・th・colspan・rowspan を考慮したHTMLテーブルの抽出
+ * 12. Alt+クリックした一致要素の除外（位置・属性・クラスの述語によるパターンの絞り込み）
+ * 13. Popupで編集したパターンXPathのプレビューと適用、セグメントごとのワイルドカードの切り替え
+ * 14. ページ内の繰り返し構造（リスト・テーブル）の候補の検出と、2要素の選択としての適用
+ * 15. 1要素目のクリック後の、クリックした要素が属するリストの提案（Enterで確定）
+ * 16. オープンなShadow DOM内の要素の選択・ハイライト・抽出（"#shadow-root" の境界を含むXPath）
+ * 17. iframe・フレームセット内での動作（パターンにフレームのパスを付け、パターンを持つフレーム内で評価する）
  */
 
 // ========================================
@@ -20,15 +32,108 @@ let isSelectionModeActive = false;
 let selectedElements = [];
 
 // 検出されたパターン情報
-// { type: 'single' | '1d' | '2d', xpath: string, variableIndices: number[] }
+// { type: 'single' | '1d' | '2d' | 'nd' | 'record', xpath: string, variableIndices: number[], fields?: object[], levelModes?: string[] }
+// nd（可変の階層が3つ以上）の場合、levelModes は行より上のグループの階層ごとの出力方法（'nest' | 'flatten'）
+// includeFooter はテーブルのセルに一致する2次元パターンで tfoot の行を含めるかどうか
+// record の場合、xpath は繰り返し要素（コンテナ）のパターン、
+// fields は各コンテナからの相対パスを持つフィールド { name: string, path: string } の配列
+// 一致要素を除外した場合、baseXPath は絞り込み前のパターン、refinements は除外の設定の配列（buildRefinedXPath() を参照）
 let detectedPattern = null;
 
 // パターンに一致した全要素（ハイライト用）
 let matchedElements = [];
 
+// Popupで入力中のパターンのプレビューで一致した要素（プレビュー中でない場合はnull）
+// プレビュー中は一致要素の代わりに緑でハイライトする
+let previewElements = null;
+
+// 列ごとの抽出元の設定（列番号 0始まり → 設定）
+// 各要素は { source: 'text' | 'innerText' | 'attribute' | 'outerHTML' | 'innerHTML' | 'value', attribute?: string } の形式
+// 未設定の列は textContent を抽出する。レシピ保存時はパターンの columns として保存される
+let columnSettings = [];
+
+// 絶対URLに変換する属性
+const URL_ATTRIBUTES = new Set(["href", "src", "action", "formaction", "poster", "cite", "data", "background"]);
+
+// パターンの一般化に使用する属性（優先順）
+// これ以外の data-* 属性もクラスより優先して使用する
+const STABLE_ATTRIBUTES = ["data-testid", "data-test", "data-qa", "data-cy", "itemprop", "role"];
+
+// 状態によって付け外しされるクラス（パターンの一般化には使用しない）
+const STATE_CLASS_PATTERN = /^(active|selected|current|hover|focus|focused|open|opened|show|shown|hidden|visible|disabled|checked|expanded|collapsed)$|^(is|has)-/i;
+
+// 「子孫」を表すセグメント（XPathの "//" に相当）
+const DESCENDANT_SEGMENT = "descendant-or-self::node()";
+
+// シャドウルートの境界を表すセグメント
+// ホスト要素までのXPathと、シャドウルートからのXPathをこのセグメントでつなぐ
+// 例: "/html/body/my-app[1]/#shadow-root/div[2]/span[1]"
+const SHADOW_ROOT_SEGMENT = "#shadow-root";
+
 // ハイライト用のオーバーレイ要素を管理するMap
 const highlightOverlays = new Map();
 
+// レシピ自動適用で一致要素が見つからない場合の再試行回数と間隔
+// SPAなどで読み込み直後にはまだ要素が描画されていない場合に備える
+const AUTO_APPLY_MAX_ATTEMPTS = 5;
+const AUTO_APPLY_RETRY_INTERVAL_MS = 1000;
+
+// DOMの変化が落ち着いたと判定するまでの無変化時間と、待機の上限時間
+const DOM_SETTLE_QUIET_MS = 500;
+const DOM_SETTLE_TIMEOUT_MS = 5000;
+
+// 「次へ」要素の指定待ち状態かどうか
+let isNextPagePickingActive = false;
+
+// レコードのフィールド指定待ちのフィールド名（指定待ちでない場合はnull）
+let pendingFieldName = null;
+
+// スクロール収集の設定
+// 1ステップでスクロールする量（表示領域の高さに対する割合）と、暴走防止の最大ステップ数
+const SCROLL_STEP_RATIO = 0.8;
+const SCROLL_COLLECT_MAX_STEPS = 500;
+
+// 実行中のスクロール収集の状態 { stopRequested: boolean } または null
+let scrollCollection = null;
+
+// 監視モードの設定
+// DOM変更の検出後に値を確認するまでの待ち時間、ポーリング間隔の既定値・下限、記録する最大行数、ログを保存する最短間隔
+const WATCH_OBSERVE_THROTTLE_MS = 200;
+const WATCH_DEFAULT_INTERVAL_MS = 1000;
+const WATCH_MIN_INTERVAL_MS = 200;
+const WATCH_MAX_ROWS = 5000;
+const WATCH_SAVE_INTERVAL_MS = 1000;
+
+// 実行中の監視の状態 { observer, timerId, throttleTimer, saveTimer, xpath, rows, lastValues } または null
+let watchSession = null;
+
+// 候補の検出: 繰り返しとみなす最小の項目数・Popupに表示する最大の候補数・調べる最大の要素数（文書順で先頭から）
+const CANDIDATE_MIN_ITEMS = 3;
+const CANDIDATE_MAX_COUNT = 10;
+const CANDIDATE_MAX_SCANNED_ELEMENTS = 20000;
+
+// 候補の検出で対象外とする要素
+const CANDIDATE_IGNORED_TAGS = new Set(["script", "style", "noscript", "template", "link", "meta", "br", "option"]);
+
+// 候補のプレビューに含める行数・列数・文字数と、列数を数える項目数
+const CANDIDATE_PREVIEW_ROWS = 3;
+const CANDIDATE_PREVIEW_COLUMNS = 4;
+const CANDIDATE_PREVIEW_TEXT_LENGTH = 20;
+const CANDIDATE_PREVIEW_SAMPLE_ITEMS = 10;
+
+// 検出した候補（{ container, items, key, regularity, score }）と、Popupでハイライト中の候補
+let candidateGroups = [];
+let highlightedCandidate = null;
+
+// 1要素目のクリック後に提案するリスト { selection, elements } または null
+// selection は確定したときに2要素目として追加する選択、elements は確定した場合の一致要素
+let listSuggestion = null;
+
+// このスクリプトが動作しているフレームのパス（トップフレームから各階層でのフレームの番号、0始まり）
+// トップフレームは空配列。パターン・抽出データに付けて、どのフレームのものかを識別する
+// 例: [1, 0] はトップフレームの2番目のフレームの中の、1番目のフレーム
+const FRAME_PATH = getFramePath();
+
 // ========================================
 // XPath生成関数
 // ========================================
@@ -46,6 +151,11 @@ const highlightOverlays = new Map();
  * @returns {string} 生成されたXPath文字列
  */
 function generateXPath(element) {
+    // Shadow DOM内のIDはドキュメント全体からは参照できないため、シャドウルートの境界を含む絶対XPathにする
+    if (element && element.getRootNode() instanceof ShadowRoot) {
+        return generateAbsoluteXPath(element);
+    }
+    
     // ID属性がある場合は短縮形式を使用
     // ただし、パターン認識の精度を上げるため、絶対パスも併用できるようにする
     if (element.id && !element.id.match(/^\d/)) {
@@ -91,6 +201,8 @@ function generateXPath(element) {
  * ID参照を使わない完全な絶対XPathを生成する
  * パターン認識時の比較用に使用
  * 
+ * Shadow DOM内の要素は、ホスト要素のXPathに SHADOW_ROOT_SEGMENT とシャドウルートからのパスを続ける
+ * 
  * @param {HTMLElement} element - XPathを生成する対象の要素
  * @returns {string} 生成された絶対XPath文字列
  */
@@ -99,7 +211,8 @@ function generateAbsoluteXPath(element) {
         return "/html/body";
     }
     
-    if (!element || !element.parentElement || element === document.documentElement) {
+    const shadowRoot = getParentShadowRoot(element);
+    if (!element || (!element.parentElement && !shadowRoot) || element === document.documentElement) {
         if (element === document.documentElement) {
             return "/html";
         }
@@ -107,7 +220,7 @@ function generateAbsoluteXPath(element) {
     }
     
     let index = 1;
-    const siblings = element.parentElement.children;
+    const siblings = (element.parentElement || shadowRoot).children;
     const tagName = element.localName || element.tagName.toLowerCase();
     
     for (let i = 0; i < siblings.length; i++) {
@@ -121,10 +234,105 @@ function generateAbsoluteXPath(element) {
         }
     }
     
-    const parentXPath = generateAbsoluteXPath(element.parentElement);
+    const parentXPath = shadowRoot
+        ? `${generateAbsoluteXPath(shadowRoot.host)}/${SHADOW_ROOT_SEGMENT}`
+        : generateAbsoluteXPath(element.parentElement);
     return `${parentXPath}/${tagName}[${index}]`;
 }
 
+/**
+ * 要素がシャドウルートの直下にある場合は、そのシャドウルートを取得する
+ * 
+ * @param {Element|null} element - 対象の要素
+ * @returns {ShadowRoot|null} 親のシャドウルート（シャドウルートの直下でない場合はnull）
+ */
+function getParentShadowRoot(element) {
+    return element && element.parentNode instanceof ShadowRoot ? element.parentNode : null;
+}
+
+/**
+ * シャドウルートの境界を越えて親要素を取得する（シャドウルートの直下の要素はホスト要素を返す）
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {Element|null} 親要素またはホスト要素
+ */
+function getComposedParent(element) {
+    const shadowRoot = getParentShadowRoot(element);
+    return shadowRoot ? shadowRoot.host : element.parentElement;
+}
+
+/**
+ * シャドウルートの境界を越えて、要素が祖先の中にあるかどうかを判定する
+ * 
+ * @param {Element} ancestor - 祖先の候補
+ * @param {Element} element - 対象の要素
+ * @returns {boolean} element が ancestor 自身またはその子孫の場合はtrue
+ */
+function containsComposed(ancestor, element) {
+    let current = element;
+    while (current) {
+        if (current === ancestor) {
+            return true;
+        }
+        current = getComposedParent(current);
+    }
+    return false;
+}
+
+/**
+ * イベントの本来の対象要素を取得する
+ * documentで受け取ったイベントの event.target はShadow DOMのホスト要素に置き換わるため、composedPath() の先頭を使う
+ * 
+ * @param {Event} event - イベント
+ * @returns {EventTarget|null} 対象要素
+ */
+function getEventTarget(event) {
+    const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+    return path.length > 0 ? path[0] : event.target;
+}
+
+// ========================================
+// フレーム関数
+// ========================================
+
+/**
+ * トップフレームからこのフレームまでのパスを求める
+ * 
+ * 各階層で親のフレームの window.frames の中での番号を使う
+ * window.frames は別オリジンの親からも参照できるため、クロスオリジンのiframeでも求められる
+ * 
+ * @returns {number[]} フレームのパス（トップフレームは空配列）
+ */
+function getFramePath() {
+    const path = [];
+    let current = window;
+    while (current !== current.parent) {
+        const parent = current.parent;
+        let index = -1;
+        for (let i = 0; i < parent.length; i++) {
+            if (parent[i] === current) {
+                index = i;
+                break;
+            }
+        }
+        path.unshift(index);
+        current = parent;
+    }
+    return path;
+}
+
+/**
+ * フレームのパスがこのフレームを指しているかどうかを判定する
+ * パスを持たないパターン（フレーム対応前に保存したレシピなど）はトップフレームのものとして扱う
+ * 
+ * @param {number[]|undefined} framePath - 判定するフレームのパス
+ * @returns {boolean} このフレームのパスの場合はtrue
+ */
+function isCurrentFramePath(framePath) {
+    const path = Array.isArray(framePath) ? framePath : [];
+    return path.length === FRAME_PATH.length && path.every((index, i) => index === FRAME_PATH[i]);
+}
+
 // ========================================
 // XPathパターン認識関数
 // ========================================
@@ -132,33 +340,86 @@ function generateAbsoluteXPath(element) {
 /**
  * XPath文字列をセグメント（各階層の要素）に分割する
  * 
+ * 述語（[...]）や文字列リテラル内のスラッシュでは分割しない
+ * "//" は DESCENDANT_SEGMENT のセグメントとして表す
+ * 
  * 例: "/html/body/div[1]/ul/li[3]/span" 
  *  → ["html", "body", "div[1]", "ul", "li[3]", "span"]
+ *     "//ul[@data-testid='a/b']/li"
+ *  → ["descendant-or-self::node()", "ul[@data-testid='a/b']", "li"]
  * 
  * @param {string} xpath - 分割するXPath文字列
  * @returns {string[]} セグメントの配列
  */
 function parseXPathToSegments(xpath) {
-    // 先頭のスラッシュを除去し、スラッシュで分割
-    const cleaned = xpath.replace(/^\/+/, "");
-    return cleaned.split("/").filter((segment) => segment.length > 0);
+    const segments = [];
+    let current = "";
+    let bracketDepth = 0;
+    let quote = null;
+    
+    for (let i = 0; i < xpath.length; i++) {
+        const char = xpath[i];
+        
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+            current += char;
+            continue;
+        }
+        
+        if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === "[") {
+            bracketDepth++;
+        } else if (char === "]") {
+            bracketDepth--;
+        } else if (char === "/" && bracketDepth === 0) {
+            if (current.length > 0) {
+                segments.push(current);
+                current = "";
+            }
+            if (xpath[i + 1] === "/") {
+                segments.push(DESCENDANT_SEGMENT);
+                i++;
+            }
+            continue;
+        }
+        current += char;
+    }
+    
+    if (current.length > 0) {
+        segments.push(current);
+    }
+    return segments;
+}
+
+/**
+ * セグメントの配列からXPath文字列を組み立てる（parseXPathToSegments() の逆変換）
+ * 
+ * @param {string[]} segments - セグメントの配列
+ * @returns {string} XPath文字列
+ */
+function buildXPathFromSegments(segments) {
+    return ("/" + segments.join("/")).split(`/${DESCENDANT_SEGMENT}/`).join("//");
 }
 
 /**
  * セグメントからタグ名とインデックスを抽出する
  * 
  * 例: "li[3]" → { tag: "li", index: 3 }
+ *     "li[*]" → { tag: "li", index: null }（ワイルドカード）
  *     "span" → { tag: "span", index: null }
  * 
  * @param {string} segment - パースするセグメント
  * @returns {{ tag: string, index: number|null }} パース結果
  */
 function parseSegment(segment) {
-    const match = segment.match(/^([a-zA-Z0-9_-]+)(?:\[(\d+)\])?$/);
+    const match = segment.match(/^([a-zA-Z0-9_-]+)(?:\[(\d+|\*)\])?$/);
     if (match) {
         return {
             tag: match[1],
-            index: match[2] ? parseInt(match[2], 10) : null
+            index: match[2] && match[2] !== "*" ? parseInt(match[2], 10) : null
         };
     }
     // ID参照形式のセグメントの場合
@@ -182,6 +443,8 @@ function parseSegment(segment) {
  * 3. タグ名が同じでインデックスのみが異なる箇所を特定
  * 4. 相違箇所のインデックス位置を記録
  * 
+ * 階層の深さやタグ名が異なる場合は compareXPathsByCommonAncestor() で比較する
+ * 
  * @param {string} xpath1 - 比較する1つ目のXPath
  * @param {string} xpath2 - 比較する2つ目のXPath
  * @returns {{ pattern: string, variableIndices: number[], isValid: boolean }}
@@ -190,9 +453,9 @@ function compareXPaths(xpath1, xpath2) {
     const segments1 = parseXPathToSegments(xpath1);
     const segments2 = parseXPathToSegments(xpath2);
     
-    // セグメント数が異なる場合はパターン認識不可
+    // セグメント数が異なる場合は共通の祖先からの相対パスで比較
     if (segments1.length !== segments2.length) {
-        return { pattern: null, variableIndices: [], isValid: false };
+        return compareXPathsByCommonAncestor(segments1, segments2);
     }
     
     const patternSegments = [];
@@ -202,9 +465,9 @@ function compareXPaths(xpath1, xpath2) {
         const parsed1 = parseSegment(segments1[i]);
         const parsed2 = parseSegment(segments2[i]);
         
-        // タグ名が異なる場合はパターン認識不可
+        // タグ名が異なる場合（途中に別の要素が挟まる場合）は共通の祖先からの相対パスで比較
         if (parsed1.tag !== parsed2.tag) {
-            return { pattern: null, variableIndices: [], isValid: false };
+            return compareXPathsByCommonAncestor(segments1, segments2);
         }
         
         // インデックスが異なる場合、その位置を可変として記録
@@ -227,6 +490,65 @@ function compareXPaths(xpath1, xpath2) {
     return { pattern, variableIndices, isValid: true };
 }
 
+/**
+ * 階層の深さが異なる2つのXPathを、共通の祖先と共通の末尾で比較する
+ * 
+ * 一部のリスト項目だけタイトルが <a> や <div> で囲まれている場合など、
+ * 繰り返し要素より下の構造が異なる場合に使用する
+ * 
+ * 例: ".../ul/li[1]/a/h2[1]" と ".../ul/li[2]/h2[1]"
+ *  → 最初に異なる階層 li をワイルドカードにし、共通の末尾 h2[1] を子孫ステップで接続
+ *  → ".../ul/li[*]//h2[1]"
+ * 
+ * @param {string[]} segments1 - 1つ目のXPathのセグメント
+ * @param {string[]} segments2 - 2つ目のXPathのセグメント
+ * @returns {{ pattern: string, variableIndices: number[], isValid: boolean }}
+ */
+function compareXPathsByCommonAncestor(segments1, segments2) {
+    const invalid = { pattern: null, variableIndices: [], isValid: false };
+    
+    // 最初に異なる階層（共通の祖先の1つ下）を探す
+    const minLength = Math.min(segments1.length, segments2.length);
+    let diffIndex = 0;
+    while (diffIndex < minLength && segments1[diffIndex] === segments2[diffIndex]) {
+        diffIndex++;
+    }
+    // 一方が他方の祖先の場合はパターン認識不可
+    if (diffIndex >= minLength) {
+        return invalid;
+    }
+    
+    // 異なる階層はタグ名が同じでインデックスのみが異なる兄弟要素である必要がある
+    const parsed1 = parseSegment(segments1[diffIndex]);
+    const parsed2 = parseSegment(segments2[diffIndex]);
+    if (parsed1.tag !== parsed2.tag || parsed1.index === null || parsed2.index === null || parsed1.index === parsed2.index) {
+        return invalid;
+    }
+    
+    // 繰り返し要素より下の部分で、末尾から共通するセグメントを探す
+    const tail1 = segments1.slice(diffIndex + 1);
+    const tail2 = segments2.slice(diffIndex + 1);
+    let commonTailLength = 0;
+    while (
+        commonTailLength < tail1.length &&
+        commonTailLength < tail2.length &&
+        tail1[tail1.length - 1 - commonTailLength] === tail2[tail2.length - 1 - commonTailLength]
+    ) {
+        commonTailLength++;
+    }
+    if (commonTailLength === 0) {
+        return invalid;
+    }
+    
+    const patternSegments = [
+        ...segments1.slice(0, diffIndex),
+        `${parsed1.tag}[*]`,
+        DESCENDANT_SEGMENT,
+        ...tail1.slice(tail1.length - commonTailLength)
+    ];
+    return { pattern: buildXPathFromSegments(patternSegments), variableIndices: [diffIndex], isValid: true };
+}
+
 /**
  * 3つ以上のXPathから2次元パターンを検出する
  * 
@@ -284,6 +606,8 @@ function detect2DPattern(existingPattern, existingVariableIndices, newXPath) {
         return { pattern: existingPattern, variableIndices: existingVariableIndices, isValid: true, is2D: resultVariableIndices.length >= 2 };
     }
     
+    // 新しい可変位置は既存の位置より外側の階層の場合もあるため、行・列の軸が階層順になるよう並べ替える
+    resultVariableIndices.sort((a, b) => a - b);
     const pattern = "/" + resultSegments.join("/");
     return { pattern, variableIndices: resultVariableIndices, isValid: true, is2D: resultVariableIndices.length >= 2 };
 }
@@ -292,11 +616,15 @@ function detect2DPattern(existingPattern, existingVariableIndices, newXPath) {
  * 現在選択されている要素からパターンを検出・更新する
  * 
  * 選択要素数に応じた処理:
- * - 1要素: 単一要素モード（パターンなし）
+ * - 1要素: 単一要素モード（パターンなし）。クリックした要素が属するリストを提案する
  * - 2要素: 1次元パターン検出を試行
  * - 3要素以上: 2次元パターン検出を試行
+ * 
+ * 位置ベースのパターンを検出した後、属性・クラスを使った安定したパターンに一般化する
  */
 function updatePattern() {
+    previewElements = null;
+    listSuggestion = null;
     if (selectedElements.length === 0) {
         detectedPattern = null;
         matchedElements = [];
@@ -311,452 +639,3242 @@ function updatePattern() {
             variableIndices: []
         };
         matchedElements = [selectedElements[0].element];
+        listSuggestion = buildListSuggestion(selectedElements[0]);
         return;
     }
     
     // パターン認識用に絶対XPathを使用
     const absoluteXPaths = selectedElements.map((sel) => generateAbsoluteXPath(sel.element));
     
-    if (selectedElements.length === 2) {
-        // 2要素の比較で1次元パターンを検出
-        const result = compareXPaths(absoluteXPaths[0], absoluteXPaths[1]);
-        
-        if (result.isValid) {
-            detectedPattern = {
-                type: result.variableIndices.length >= 2 ? "2d" : "1d",
-                xpath: result.pattern,
-                variableIndices: result.variableIndices
-            };
-            // パターンに一致する全要素を検出
-            matchedElements = findMatchingElements(result.pattern);
-        } else {
-            // パターン認識失敗：複数選択として扱う
-            detectedPattern = {
-                type: "multiple",
-                xpath: null,
-                variableIndices: []
-            };
-            matchedElements = selectedElements.map((sel) => sel.element);
-        }
-    } else {
-        // 3要素以上：既存パターンと新要素を比較して2次元パターンを検出
-        let currentPattern = detectedPattern;
-        
-        // まだパターンがない場合は最初の2要素から生成
-        if (!currentPattern || currentPattern.type === "multiple") {
-            const initialResult = compareXPaths(absoluteXPaths[0], absoluteXPaths[1]);
-            if (initialResult.isValid) {
-                currentPattern = {
-                    type: initialResult.variableIndices.length >= 2 ? "2d" : "1d",
-                    xpath: initialResult.pattern,
-                    variableIndices: initialResult.variableIndices
-                };
-            } else {
-                detectedPattern = {
-                    type: "multiple",
-                    xpath: null,
-                    variableIndices: []
-                };
-                matchedElements = selectedElements.map((sel) => sel.element);
-                return;
-            }
-        }
-        
-        // 最新の要素とパターンを比較
-        const latestXPath = absoluteXPaths[absoluteXPaths.length - 1];
-        const result2D = detect2DPattern(currentPattern.xpath, currentPattern.variableIndices, latestXPath);
-        
+    // 最初の2要素の比較で1次元パターンを検出
+    const result = compareXPaths(absoluteXPaths[0], absoluteXPaths[1]);
+    if (!result.isValid) {
+        // パターン認識失敗：複数選択として扱う
+        detectedPattern = {
+            type: "multiple",
+            xpath: null,
+            variableIndices: []
+        };
+        matchedElements = selectedElements.map((sel) => sel.element);
+        return;
+    }
+    
+    // 3要素以上：パターンと以降の要素を順に比較して2次元パターンを検出
+    let pattern = result.pattern;
+    let variableIndices = result.variableIndices;
+    for (let i = 2; i < absoluteXPaths.length; i++) {
+        const result2D = detect2DPattern(pattern, variableIndices, absoluteXPaths[i]);
+        // パターン更新失敗の場合は既存パターンを維持
         if (result2D.isValid) {
-            detectedPattern = {
-                type: result2D.is2D ? "2d" : "1d",
-                xpath: result2D.pattern,
-                variableIndices: result2D.variableIndices
-            };
-            matchedElements = findMatchingElements(result2D.pattern);
-        } else {
-            // パターン更新失敗：既存パターンを維持
-            matchedElements = findMatchingElements(currentPattern.xpath);
+            pattern = result2D.pattern;
+            variableIndices = result2D.variableIndices;
+        }
+    }
+    
+    const previousPattern = detectedPattern;
+    detectedPattern = generalizePattern(pattern, variableIndices);
+    
+    // 元のパターンが変わらない場合は除外の設定を引き継ぐ（選択要素が除外される場合を除く）
+    if (previousPattern && previousPattern.refinements && previousPattern.baseXPath === detectedPattern.xpath) {
+        const refinedPattern = {
+            ...detectedPattern,
+            baseXPath: previousPattern.baseXPath,
+            refinements: previousPattern.refinements,
+            xpath: buildRefinedXPath(previousPattern.baseXPath, previousPattern.refinements)
+        };
+        const refinedMatches = findPatternElements(refinedPattern);
+        if (selectedElements.every((sel) => refinedMatches.includes(sel.element))) {
+            detectedPattern = refinedPattern;
         }
     }
+    matchedElements = findPatternElements(detectedPattern);
 }
 
 // ========================================
-// 要素検索関数
+// パターンの一般化関数
 // ========================================
 
 /**
- * パターンXPathに一致する全要素を検出する
+ * 属性値やクラス名がパターンに使用できる安定した値かどうかを判定する
  * 
- * ワイルドカード [*] を含むパターンを実際のXPath評価に変換する
- * document.evaluate() はワイルドカードをサポートしないため、
- * 親要素から子要素を列挙する方式で実装
+ * 連番・ハッシュなど自動生成されたように見える値や、状態を表すクラスは除外する
+ * 例: "item", "product-card" → true / "css-1x2y3z", "row-12345", "active" → false
  * 
- * @param {string} pattern - ワイルドカードを含むパターンXPath
- * @returns {HTMLElement[]} 一致した要素の配列
+ * @param {string} value - 判定する値
+ * @returns {boolean} 安定した値の場合はtrue
  */
-function findMatchingElements(pattern) {
-    if (!pattern) {
-        return [];
+function isStableToken(value) {
+    if (!value || value.length > 50 || value.startsWith("xpath-extractor-")) {
+        return false;
     }
-    
-    // パターンを解析してワイルドカードの位置を特定
-    const segments = parseXPathToSegments(pattern);
-    const wildcardIndices = [];
-    
-    segments.forEach((segment, index) => {
-        if (segment.includes("[*]")) {
-            wildcardIndices.push(index);
-        }
-    });
-    
-    if (wildcardIndices.length === 0) {
-        // ワイルドカードがない場合は通常のXPath評価
-        try {
-            const result = document.evaluate(
-                pattern,
-                document,
-                null,
-                XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
-                null
-            );
-            const elements = [];
-            for (let i = 0; i < result.snapshotLength; i++) {
-                elements.push(result.snapshotItem(i));
-            }
-            return elements;
-        } catch (e) {
-            console.error("XPath evaluation error:", e);
-            return [];
-        }
+    // 3桁以上の数字（IDや連番）
+    if (/\d{3,}/.test(value)) {
+        return false;
     }
-    
-    // ワイルドカードを含む場合は再帰的に要素を収集
-    return collectElementsWithWildcard(segments, 0, document);
+    // CSS-in-JSなどが生成するクラス名
+    if (/^(css|sc|jsx|emotion|svelte)-/i.test(value)) {
+        return false;
+    }
+    // 英字と数字が入り混じったハッシュ風の部分（例: "a1b2c3", "_3kd9f"）
+    if (value.split(/[-_\s]+/).some((part) => /[a-z]\d|\d[a-z]/i.test(part) && part.length >= 4)) {
+        return false;
+    }
+    return !STATE_CLASS_PATTERN.test(value);
 }
 
 /**
- * ワイルドカードを含むセグメント配列から要素を再帰的に収集する
+ * 文字列をXPathの文字列リテラルに変換する
  * 
- * @param {string[]} segments - XPathセグメントの配列
- * @param {number} segmentIndex - 現在処理中のセグメントインデックス
- * @param {Node} currentNode - 現在のコンテキストノード
- * @returns {HTMLElement[]} 一致した要素の配列
+ * @param {string} value - 変換する文字列
+ * @returns {string|null} XPathの文字列リテラル（両方の引用符を含む場合はnull）
  */
-function collectElementsWithWildcard(segments, segmentIndex, currentNode) {
-    // 全セグメントを処理し終えた場合、現在のノードが結果
-    if (segmentIndex >= segments.length) {
-        return currentNode !== document ? [currentNode] : [];
+function toXPathLiteral(value) {
+    if (!value.includes("'")) {
+        return `'${value}'`;
     }
-    
-    const segment = segments[segmentIndex];
-    const parsed = parseSegment(segment.replace("[*]", "[1]")); // パース用に仮インデックス
-    const isWildcard = segment.includes("[*]");
-    
-    let results = [];
-    
-    // 特殊ケース: html, body
-    if (segment === "html" && currentNode === document) {
-        return collectElementsWithWildcard(segments, segmentIndex + 1, document.documentElement);
+    if (!value.includes('"')) {
+        return `"${value}"`;
     }
-    if (segment === "body" && currentNode === document.documentElement) {
-        return collectElementsWithWildcard(segments, segmentIndex + 1, document.body);
+    return null;
+}
+
+/**
+ * クラス名で要素を指定するXPathの述語を生成する
+ * contains(@class, ...) だけでは "item" が "item-list" にも一致するため、前後を空白で区切って比較する
+ * 
+ * @param {string} className - クラス名
+ * @returns {string} XPathの述語（角括弧なし）
+ */
+function buildClassPredicate(className) {
+    return `contains(concat(' ', normalize-space(@class), ' '), ' ${className} ')`;
+}
+
+/**
+ * 要素のXPathのノードテスト（タグ名部分）を取得する
+ * SVGなどHTML以外の名前空間の要素はタグ名では一致しないため local-name() で指定する
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {string} ノードテスト（例: "li", "*[local-name()='svg']"）
+ */
+function getNodeTest(element) {
+    const tagName = element.localName || element.tagName.toLowerCase();
+    if (element.namespaceURI && element.namespaceURI !== "http://www.w3.org/1999/xhtml") {
+        return `*[local-name()='${tagName}']`;
     }
+    return tagName;
+}
+
+/**
+ * 要素を安定して指定できる述語の候補を優先順に列挙する
+ * 
+ * 優先順: id → data-testid などのテスト用属性・itemprop・role → その他の data-* 属性 → クラス
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {string[]} XPathの述語（角括弧なし）の配列
+ */
+function getStablePredicates(element) {
+    const predicates = [];
+    const addAttributePredicate = (name, value) => {
+        const literal = isStableToken(value) ? toXPathLiteral(value) : null;
+        if (literal) {
+            predicates.push(`@${name}=${literal}`);
+        }
+    };
     
-    // 子要素を探索
-    const children = currentNode.children || [];
-    
-    if (isWildcard) {
-        // ワイルドカードの場合：同じタグ名の全ての子要素を対象
-        for (let i = 0; i < children.length; i++) {
-            const child = children[i];
-            const childTagName = child.localName || (child.tagName ? child.tagName.toLowerCase() : "");
-            if (childTagName === parsed.tag) {
-                const subResults = collectElementsWithWildcard(segments, segmentIndex + 1, child);
-                results = results.concat(subResults);
-            }
+    if (element.id && !/^\d/.test(element.id)) {
+        addAttributePredicate("id", element.id);
+    }
+    STABLE_ATTRIBUTES.forEach((name) => {
+        if (element.hasAttribute(name)) {
+            addAttributePredicate(name, element.getAttribute(name));
         }
-    } else {
-        // 固定インデックスの場合：指定位置の要素のみ
-        const targetIndex = parsed.index || 1;
-        let count = 0;
-        
-        for (let i = 0; i < children.length; i++) {
-            const child = children[i];
-            const childTagName = child.localName || (child.tagName ? child.tagName.toLowerCase() : "");
-            if (childTagName === parsed.tag) {
-                count++;
-                if (count === targetIndex) {
-                    const subResults = collectElementsWithWildcard(segments, segmentIndex + 1, child);
-                    results = results.concat(subResults);
-                    break;
-                }
-            }
+    });
+    Array.from(element.attributes).forEach((attribute) => {
+        if (attribute.name.startsWith("data-") && !STABLE_ATTRIBUTES.includes(attribute.name)) {
+            addAttributePredicate(attribute.name, attribute.value);
         }
-    }
-    
-    return results;
+    });
+    Array.from(element.classList).forEach((className) => {
+        if (isStableToken(className) && !className.includes("'")) {
+            predicates.push(buildClassPredicate(className));
+        }
+    });
+    return predicates;
 }
 
-// ========================================
-// ハイライト表示関数
-// ========================================
+/**
+ * 要素のうち、同じタグの兄弟要素の中で指定した述語に一致するのが自身だけかどうかを判定する
+ * 
+ * @param {Element} element - 対象の要素
+ * @param {string} predicate - XPathの述語
+ * @returns {boolean} 兄弟要素と区別できる場合はtrue
+ */
+function isUniqueAmongSiblings(element, predicate) {
+    return evaluateXPath(`../${getNodeTest(element)}[${predicate}]`, element).length === 1;
+}
 
 /**
- * 要素にハイライトオーバーレイを追加する
+ * 指定した述語が、要素と同じタグの兄弟要素の全てに一致するかどうかを判定する
  * 
- * SVGやdiv要素ではなく、box-shadowとoutlineを使用することで
- * ページのレイアウトを崩さずにハイライトを表示する
+ * @param {Element} element - 対象の要素
+ * @param {string} predicate - XPathの述語
+ * @returns {boolean} 同じタグの兄弟要素を1つも除外しない場合はtrue
+ */
+function matchesAllSameTagSiblings(element, predicate) {
+    const nodeTest = getNodeTest(element);
+    return evaluateXPath(`../${nodeTest}[${predicate}]`, element).length === evaluateXPath(`../${nodeTest}`, element).length;
+}
+
+/**
+ * パターンの1階層分のステップを生成する
  * 
- * @param {HTMLElement} element - ハイライトする要素
- * @param {string} type - ハイライトの種類 ("selected" | "matched")
+ * - 可変の階層: 同じタグの兄弟要素の全てに一致する共通の述語を使う（なければタグ名のみ = 全ての兄弟要素）
+ * - 固定の階層: 兄弟要素と区別できる共通の述語を優先し、なければ位置で指定する
+ * 
+ * @param {Element[]} elements - 選択要素ごとのこの階層の要素
+ * @param {string} segment - 位置ベースのパターンのセグメント（例: "li[*]", "div[2]"）
+ * @param {boolean} isVariable - 可変の階層かどうか
+ * @returns {string} XPathのステップ
  */
-function addHighlight(element, type) {
-    // 既存のハイライトを確認
-    const existingOverlay = highlightOverlays.get(element);
-    if (existingOverlay) {
-        // タイプが同じなら何もしない
-        if (existingOverlay.dataset.highlightType === type) {
-            return;
-        }
-        // タイプが異なる場合は更新
-        removeHighlight(element);
+function buildStableStep(elements, segment, isVariable) {
+    const nodeTest = getNodeTest(elements[0]);
+    if (nodeTest === "html" || nodeTest === "body") {
+        return nodeTest;
     }
     
-    // オーバーレイ用のdiv要素を作成
-    const overlay = document.createElement("div");
-    overlay.className = "xpath-extractor-highlight";
-    overlay.dataset.highlightType = type;
-    
-    // 要素の位置とサイズを取得
-    const rect = element.getBoundingClientRect();
-    const scrollX = window.scrollX || window.pageXOffset;
-    const scrollY = window.scrollY || window.pageYOffset;
+    const commonPredicates = getStablePredicates(elements[0]).filter((predicate) => {
+        return elements.every((element) => getStablePredicates(element).includes(predicate));
+    });
     
-    // オーバーレイのスタイルを設定
-    overlay.style.cssText = `
-        position: absolute;
-        top: ${rect.top + scrollY}px;
-        left: ${rect.left + scrollX}px;
-        width: ${rect.width}px;
-        height: ${rect.height}px;
-        pointer-events: none;
-        z-index: 2147483647;
-        box-sizing: border-box;
-    `;
+    if (isVariable) {
+        // 奇数行だけをクリックした場合の "odd" のように、選択した要素にたまたま共通する述語で
+        // 絞り込むと他の行を取りこぼすため、兄弟要素を除外しない述語だけを使う
+        const sharedPredicate = commonPredicates.find((predicate) => {
+            return elements.every((element) => matchesAllSameTagSiblings(element, predicate));
+        });
+        return sharedPredicate ? `${nodeTest}[${sharedPredicate}]` : nodeTest;
+    }
     
-    // タイプに応じた色を設定
-    if (type === "selected") {
-        overlay.style.backgroundColor = "rgba(255, 255, 0, 0.3)";
-        overlay.style.border = "2px solid #FFD700";
-    } else if (type === "matched") {
-        overlay.style.backgroundColor = "rgba(144, 238, 144, 0.25)";
-        overlay.style.border = "1px dashed #32CD32";
+    const uniquePredicate = commonPredicates.find((predicate) => {
+        return elements.every((element) => isUniqueAmongSiblings(element, predicate));
+    });
+    if (uniquePredicate) {
+        return `${nodeTest}[${uniquePredicate}]`;
     }
     
-    // ドキュメントに追加
-    document.body.appendChild(overlay);
-    highlightOverlays.set(element, overlay);
+    const parsed = parseSegment(segment);
+    const hasSameTagSiblings = elements.some((element) => {
+        return Array.from((element.parentElement || getParentShadowRoot(element)).children).some((sibling) => {
+            return sibling !== element && sibling.localName === element.localName;
+        });
+    });
+    return hasSameTagSiblings && parsed.index !== null ? `${nodeTest}[${parsed.index}]` : nodeTest;
 }
 
 /**
- * 要素からハイライトオーバーレイを削除する
+ * ドキュメント全体で一意に特定できる述語があれば、その要素を起点とするステップを生成する
  * 
- * @param {HTMLElement} element - ハイライトを削除する要素
+ * @param {Element} element - 起点の候補となる要素
+ * @returns {string|null} XPathのステップ（例: "ul[@data-testid='results']"）、特定できない場合はnull
  */
-function removeHighlight(element) {
-    const overlay = highlightOverlays.get(element);
-    if (overlay) {
-        overlay.remove();
-        highlightOverlays.delete(element);
-    }
+function buildAnchorStep(element) {
+    const nodeTest = getNodeTest(element);
+    const predicate = getStablePredicates(element).find((candidate) => {
+        const matches = evaluateXPath(`//${nodeTest}[${candidate}]`);
+        return matches.length === 1 && matches[0] === element;
+    });
+    return predicate ? `${nodeTest}[${predicate}]` : null;
 }
 
 /**
- * 全てのハイライトをクリアする
+ * 位置ベースのパターンを、属性・クラスを使った安定したパターンに一般化する
+ * 
+ * 1. 可変の階層より上で、ドキュメント内で一意に特定できる最も近い祖先を起点にする
+ *    （例: "/html/body/div[4]/div[2]/ul/li[*]" → "//ul[@data-testid='results']/li[...]"）
+ * 2. 起点より下の各階層は buildStableStep() で属性・クラスを優先したステップにする
+ * 3. 一般化したパターンが選択要素の全てに一致しない場合は位置ベースのパターンをそのまま使用する
+ * 
+ * @param {string} pattern - 位置ベースのパターン（[*] を含む絶対XPath）
+ * @param {number[]} variableIndices - 可変の階層のセグメント位置
+ * @returns {{ type: string, xpath: string, variableIndices: number[] }} パターン情報
+ */
+function generalizePattern(pattern, variableIndices) {
+    const positionalPattern = {
+        type: variableIndices.length >= 3 ? "nd" : variableIndices.length >= 2 ? "2d" : "1d",
+        xpath: pattern,
+        variableIndices: variableIndices
+    };
+    
+    // パターンに一致する選択要素を基準に各階層の要素を求める
+    const positionalMatches = new Set(findMatchingElements(pattern));
+    const samples = selectedElements.map((sel) => sel.element).filter((element) => positionalMatches.has(element));
+    if (samples.length === 0) {
+        return positionalPattern;
+    }
+    
+    // 各階層までのパターンに一致する要素のうち、選択要素自身または最も近い祖先をその階層の要素とする
+    // （子孫ステップ "//" を含む場合も階層ごとの要素を求められるようにXPathで評価する）
+    const segments = parseXPathToSegments(pattern);
+    const levels = segments.map((segment, index) => {
+        if (segment === DESCENDANT_SEGMENT || segment === SHADOW_ROOT_SEGMENT) {
+            return null;
+        }
+        const levelNodes = findMatchingElements(buildXPathFromSegments(segments.slice(0, index + 1)));
+        const levelIndexMap = new Map(levelNodes.map((node, nodeIndex) => [node, nodeIndex]));
+        return samples.map((element) => levelNodes[findAncestorIndex(element, levelIndexMap)]);
+    });
+    const steps = segments.map((segment, index) => {
+        if (segment === DESCENDANT_SEGMENT || segment === SHADOW_ROOT_SEGMENT) {
+            return segment;
+        }
+        return buildStableStep(levels[index], segment, variableIndices.includes(index));
+    });
+    
+    // 最初の可変の階層より上で、一意に特定できる最も近い祖先を探す（html・bodyは除く）
+    // Shadow DOM内の要素はドキュメント全体から検索できないため、最も内側のシャドウルートより上で探す
+    const firstVariableIndex = Math.min(...variableIndices);
+    let stableSegments = steps;
+    let stableVariableIndices = variableIndices;
+    for (let i = firstVariableIndex - 1; i >= 2; i--) {
+        if (segments.slice(0, i + 1).includes(SHADOW_ROOT_SEGMENT)) {
+            continue;
+        }
+        const anchorStep = buildAnchorStep(levels[i][0]);
+        if (anchorStep) {
+            stableSegments = [DESCENDANT_SEGMENT, anchorStep, ...steps.slice(i + 1)];
+            stableVariableIndices = variableIndices.map((index) => index - i + 1);
+            break;
+        }
+    }
+    
+    const stableXPath = buildXPathFromSegments(stableSegments);
+    const stableMatches = new Set(findMatchingElements(stableXPath));
+    if (!samples.every((element) => stableMatches.has(element))) {
+        return positionalPattern;
+    }
+    
+    return {
+        type: positionalPattern.type,
+        xpath: stableXPath,
+        variableIndices: stableVariableIndices
+    };
+}
+
+// ========================================
+// 要素検索関数
+// ========================================
+
+/**
+ * パターンXPathに一致する全要素を検出する
+ * 
+ * 位置ベースのパターンのワイルドカード [*] は、述語を外して同じタグの全ての兄弟要素に一致させる
+ * （例: "/html/body/ul/li[*]" → "/html/body/ul/li"）
+ * 
+ * @param {string} pattern - パターンXPath（ワイルドカードを含んでもよい）
+ * @returns {HTMLElement[]} 一致した要素の配列（ドキュメント順）
+ */
+function findMatchingElements(pattern) {
+    if (!pattern) {
+        return [];
+    }
+    return evaluateXPath(toEvaluableXPath(pattern));
+}
+
+/**
+ * パターンXPathを document.evaluate() で評価できるXPathに変換する
+ * ワイルドカード [*] を含まないXPath（手入力した任意のXPath 1.0 など）はそのまま返す
+ * 
+ * @param {string} pattern - パターンXPath
+ * @returns {string} 評価用のXPath
+ */
+function toEvaluableXPath(pattern) {
+    if (!pattern.includes("[*]")) {
+        return pattern;
+    }
+    const segments = parseXPathToSegments(pattern).map((segment) => {
+        return segment.endsWith("[*]") ? segment.slice(0, -3) : segment;
+    });
+    return buildXPathFromSegments(segments);
+}
+
+/**
+ * XPathを評価して一致した要素を取得する
+ * シャドウルートの境界（SHADOW_ROOT_SEGMENT）を含む場合は evaluateComposedXPath() で評価する
+ * 
+ * @param {string} xpath - 評価するXPath
+ * @param {Node} [contextNode] - 評価の基準ノード（省略時はdocument）
+ * @returns {Element[]} 一致した要素の配列（ドキュメント順）
+ */
+function evaluateXPath(xpath, contextNode = document) {
+    if (xpath.includes(`/${SHADOW_ROOT_SEGMENT}`)) {
+        return evaluateComposedXPath(xpath, contextNode);
+    }
+    try {
+        const result = document.evaluate(
+            xpath,
+            contextNode,
+            null,
+            XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+            null
+        );
+        const elements = [];
+        for (let i = 0; i < result.snapshotLength; i++) {
+            const node = result.snapshotItem(i);
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                elements.push(node);
+            }
+        }
+        return elements;
+    } catch (e) {
+        console.error("XPath evaluation error:", e);
+        return [];
+    }
+}
+
+/**
+ * シャドウルートの境界を含むXPathを評価する
+ * 
+ * document.evaluate() はシャドウルートの中をたどれないため、境界の手前までのXPathでホスト要素を求め、
+ * オープンなシャドウルートごとに境界の後ろのXPathを evaluateInShadowRoot() で評価する
+ * （クローズドなシャドウルートの中は評価できない）
+ * 
+ * @param {string} xpath - 評価するXPath（例: "/html/body/my-app/#shadow-root/ul/li"）
+ * @param {Node} contextNode - 評価の基準ノード
+ * @returns {Element[]} 一致した要素の配列（ホスト要素の順、シャドウルート内ではドキュメント順）
+ */
+function evaluateComposedXPath(xpath, contextNode) {
+    const [hostXPath, ...shadowXPaths] = xpath.split(`/${SHADOW_ROOT_SEGMENT}`);
+    let nodes = hostXPath === "." ? [contextNode] : evaluateXPath(hostXPath, contextNode);
+    shadowXPaths.forEach((shadowXPath) => {
+        nodes = nodes.flatMap((host) => host.shadowRoot ? evaluateInShadowRoot(host.shadowRoot, shadowXPath) : []);
+    });
+    return nodes;
+}
+
+/**
+ * シャドウルートを基準にXPathを評価する
+ * 
+ * シャドウルート自体は document.evaluate() の基準にできないため、最初の階層はシャドウルートの子要素
+ * （"//" で始まる場合はシャドウルート内の全要素）から self:: 軸と兄弟要素の中での位置で絞り込み、
+ * 2階層目以降は絞り込んだ要素を基準に評価する
+ * 
+ * @param {ShadowRoot} shadowRoot - 基準のシャドウルート
+ * @param {string} xpath - シャドウルートからのXPath（例: "/ul[2]/li", "//li"）
+ * @returns {Element[]} 一致した要素の配列
+ */
+function evaluateInShadowRoot(shadowRoot, xpath) {
+    const segments = parseXPathToSegments(xpath);
+    const isDescendant = segments[0] === DESCENDANT_SEGMENT;
+    const steps = isDescendant ? segments.slice(1) : segments;
+    if (steps.length === 0) {
+        return [];
+    }
+    
+    // 末尾の位置指定（例: "li[2]"）は self:: 軸では評価できないため、兄弟要素の中での位置で判定する
+    const positionMatch = steps[0].match(/^(.*)\[(\d+)\]$/s);
+    const nodeTest = positionMatch ? positionMatch[1] : steps[0];
+    const candidates = Array.from(isDescendant ? shadowRoot.querySelectorAll("*") : shadowRoot.children);
+    const matched = candidates.filter((candidate) => evaluateXPath(`self::${nodeTest}`, candidate).length > 0);
+    const firstNodes = positionMatch
+        ? matched.filter((node) => {
+            const peers = matched.filter((peer) => peer.parentNode === node.parentNode);
+            return peers.indexOf(node) + 1 === parseInt(positionMatch[2], 10);
+        })
+        : matched;
+    
+    if (steps.length === 1) {
+        return firstNodes;
+    }
+    const restXPath = `.${buildXPathFromSegments(steps.slice(1))}`;
+    return firstNodes.flatMap((node) => evaluateXPath(restXPath, node));
+}
+
+// ========================================
+// パターンの絞り込み（除外）関数
+// ========================================
+
+/**
+ * パターンに一致する要素から、除外リストの要素を除いた要素を取得する
+ * 
+ * @param {{ xpath: string, refinements?: object[] }} pattern - パターン情報
+ * @returns {HTMLElement[]} 一致した要素の配列（ドキュメント順）
+ */
+function findPatternElements(pattern) {
+    const elements = findMatchingElements(pattern.xpath);
+    const excludedXPaths = (pattern.refinements || [])
+        .filter((refinement) => refinement.kind === "element")
+        .flatMap((refinement) => refinement.xpaths);
+    if (excludedXPaths.length === 0) {
+        return elements;
+    }
+    
+    const excluded = new Set(excludedXPaths.flatMap((xpath) => evaluateXPath(xpath)));
+    return elements.filter((element) => !excluded.has(element));
+}
+
+/**
+ * 絞り込み前のパターンに、除外の述語を追加したパターンを生成する
+ * 
+ * 例: "/html/body/table/tbody/tr[*]/td[*]" + { segmentIndex: 4, predicate: "position()>1" }
+ *     → "/html/body/table/tbody/tr[position()>1]/td[*]"
+ * 
+ * @param {string} baseXPath - 絞り込み前のパターン
+ * @param {object[]} refinements - 除外の設定
+ *     - { kind: "predicate", segmentIndex: number, predicate: string }: セグメントに述語を追加する
+ *     - { kind: "element", xpaths: string[] }: 要素を個別に除外する（パターンは変更しない）
+ * @returns {string} 絞り込んだパターン
+ */
+function buildRefinedXPath(baseXPath, refinements) {
+    const segments = parseXPathToSegments(baseXPath);
+    refinements.forEach((refinement) => {
+        const segment = segments[refinement.segmentIndex];
+        if (refinement.kind === "predicate" && segment) {
+            // 述語を追加したセグメントはワイルドカード [*] を外しても同じ要素に一致する
+            segments[refinement.segmentIndex] = `${segment.endsWith("[*]") ? segment.slice(0, -3) : segment}[${refinement.predicate}]`;
+        }
+    });
+    return buildXPathFromSegments(segments);
+}
+
+/**
+ * 除外する要素をパターンから外す述語の候補を優先順に列挙する
+ * 
+ * 1. 除外する要素だけが持つ属性・クラスの否定（例: "not(contains(concat(' ', normalize-space(@class), ' '), ' ad '))"）
+ * 2. 先頭・末尾の位置の除外（"position()>1" / "position()<last()"）
+ * 3. id の否定
+ * 
+ * @param {Element} node - 除外する階層の要素
+ * @param {Element[]} levelNodes - この階層に当たる全要素
+ * @param {Element[]} keptNodes - この階層に当たる要素のうち、残す一致要素を含む要素
+ * @returns {string[]} XPathの述語（角括弧なし）の配列
+ */
+function buildExclusionPredicates(node, levelNodes, keptNodes) {
+    const stablePredicates = getStablePredicates(node).filter((predicate) => {
+        return !keptNodes.some((keptNode) => evaluateXPath(`self::node()[${predicate}]`, keptNode).length > 0);
+    });
+    const predicates = stablePredicates
+        .filter((predicate) => !predicate.startsWith("@id="))
+        .map((predicate) => `not(${predicate})`);
+    
+    const peers = levelNodes.filter((levelNode) => levelNode.parentNode === node.parentNode);
+    if (peers.length > 1 && peers[0] === node) {
+        predicates.push("position()>1");
+    }
+    if (peers.length > 1 && peers[peers.length - 1] === node) {
+        predicates.push("position()<last()");
+    }
+    
+    stablePredicates
+        .filter((predicate) => predicate.startsWith("@id="))
+        .forEach((predicate) => predicates.push(`not(${predicate})`));
+    return predicates;
+}
+
+/**
+ * クリックした一致要素を除外する設定を求める
+ * 
+ * 外側の可変の階層から順に、クリックした一致要素を含み、選択要素を含まない階層の要素を探し、
+ * その要素の中の一致要素をまとめて除外する（2次元パターンでヘッダー行のセルをクリックした場合は行ごと除外する）
+ * 選択要素を残したまま除外できる述語があれば述語で、なければ要素を個別に除外する
+ * 
+ * @param {Element[]} targets - クリックした一致要素
+ * @returns {object|null} 除外の設定（除外できる階層がない場合はnull）
+ */
+function findExclusionRefinement(targets) {
+    const baseXPath = detectedPattern.baseXPath || detectedPattern.xpath;
+    const refinements = detectedPattern.refinements || [];
+    const segments = parseXPathToSegments(toEvaluableXPath(detectedPattern.xpath));
+    const selected = selectedElements.map((sel) => sel.element).filter((element) => matchedElements.includes(element));
+    let fallback = null;
+    
+    const varIndices = [...detectedPattern.variableIndices].sort((a, b) => a - b);
+    for (const segmentIndex of varIndices) {
+        const levelNodes = evaluateXPath(buildXPathFromSegments(segments.slice(0, segmentIndex + 1)));
+        const levelIndexMap = new Map(levelNodes.map((node, index) => [node, index]));
+        const nodeIndex = findAncestorIndex(targets[0], levelIndexMap);
+        if (nodeIndex === null) {
+            continue;
+        }
+        
+        // 選択要素を含む階層の要素は外せないため、内側の階層で探す
+        const node = levelNodes[nodeIndex];
+        if (!targets.every((element) => containsComposed(node, element)) || selected.some((element) => containsComposed(node, element))) {
+            continue;
+        }
+        
+        const excluded = matchedElements.filter((element) => containsComposed(node, element));
+        const keptElements = matchedElements.filter((element) => !containsComposed(node, element));
+        const keptNodes = levelNodes.filter((levelNode) => keptElements.some((element) => containsComposed(levelNode, element)));
+        for (const predicate of buildExclusionPredicates(node, levelNodes, keptNodes)) {
+            const refinement = { kind: "predicate", segmentIndex: segmentIndex, predicate: predicate };
+            const candidates = [...refinements, refinement];
+            const matches = new Set(findPatternElements({ xpath: buildRefinedXPath(baseXPath, candidates), refinements: candidates }));
+            if (matches.size > 0 && excluded.every((element) => !matches.has(element)) && selected.every((element) => matches.has(element))) {
+                refinement.label = `${getNodeTest(node)}[${predicate}]`;
+                return refinement;
+            }
+        }
+        
+        if (!fallback) {
+            fallback = {
+                kind: "element",
+                xpaths: excluded.map((element) => generateAbsoluteXPath(element)),
+                label: `${getNodeTest(node)}（${excluded.length}件）`
+            };
+        }
+    }
+    return fallback;
+}
+
+/**
+ * クリックした一致要素をパターンから除外する（Alt+クリック）
+ * 
+ * 述語（位置・属性・クラス）でパターンを絞り込めない場合は、要素を個別に除外リストに追加する
+ * 
+ * @param {Element} element - クリックした要素
+ * @returns {{ success: boolean }} 除外結果
+ */
+function excludeMatchedElement(element) {
+    if (!detectedPattern || !detectedPattern.xpath || detectedPattern.variableIndices.length === 0) {
+        return { success: false };
+    }
+    
+    // クリックした要素自身・祖先の一致要素、またはクリックした要素（行など）の中の一致要素
+    let targets = matchedElements.filter((matched) => containsComposed(matched, element));
+    if (targets.length === 0) {
+        targets = matchedElements.filter((matched) => containsComposed(element, matched));
+    }
+    // 選択要素はパターンの基準のため除外しない（ダブルクリックで選択を解除する）
+    const refinement = targets.length > 0 ? findExclusionRefinement(targets) : null;
+    if (!refinement) {
+        return { success: false };
+    }
+    
+    const baseXPath = detectedPattern.baseXPath || detectedPattern.xpath;
+    const refinements = [...(detectedPattern.refinements || []), refinement];
+    detectedPattern = {
+        ...detectedPattern,
+        baseXPath: baseXPath,
+        refinements: refinements,
+        xpath: buildRefinedXPath(baseXPath, refinements)
+    };
+    matchedElements = findPatternElements(detectedPattern);
+    
+    refreshHighlights();
+    saveDataToStorage();
+    console.log(`[XPath Extractor] Excluded: ${refinement.label}, XPath: ${detectedPattern.xpath}`);
+    return { success: true };
+}
+
+/**
+ * パターンの除外の設定を削除する
+ * 
+ * @param {number} index - 削除する除外の設定の番号（0始まり）
+ * @returns {{ success: boolean }} 削除結果
+ */
+function removeExclusion(index) {
+    if (!detectedPattern || !Array.isArray(detectedPattern.refinements) || !detectedPattern.refinements[index]) {
+        return { success: false };
+    }
+    
+    const refinements = detectedPattern.refinements.filter((refinement, i) => i !== index);
+    const { baseXPath, refinements: removed, ...pattern } = detectedPattern;
+    detectedPattern = refinements.length > 0
+        ? { ...pattern, baseXPath: baseXPath, refinements: refinements, xpath: buildRefinedXPath(baseXPath, refinements) }
+        : { ...pattern, xpath: baseXPath };
+    matchedElements = findPatternElements(detectedPattern);
+    
+    refreshHighlights();
+    saveDataToStorage();
+    return { success: true };
+}
+
+// ========================================
+// パターンの編集関数
+// ========================================
+
+/**
+ * Popupで入力されたパターンXPathを評価する
+ * 
+ * @param {string} xpath - パターンXPath（ワイルドカード [*] または任意のXPath 1.0）
+ * @returns {{ elements: Element[], error: string|null }} 一致した要素と、構文エラーなどのエラーメッセージ
+ */
+function evaluatePatternXPath(xpath) {
+    // シャドウルートの境界を含むXPathは階層ごとに評価するため、構文エラーは一致なしとして扱う
+    if (xpath.includes(`/${SHADOW_ROOT_SEGMENT}`)) {
+        return { elements: evaluateXPath(toEvaluableXPath(xpath)), error: null };
+    }
+    try {
+        const result = document.evaluate(
+            toEvaluableXPath(xpath),
+            document,
+            null,
+            XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+            null
+        );
+        const elements = [];
+        for (let i = 0; i < result.snapshotLength; i++) {
+            const node = result.snapshotItem(i);
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                elements.push(node);
+            }
+        }
+        return { elements: elements, error: null };
+    } catch (error) {
+        return { elements: [], error: error.message };
+    }
+}
+
+/**
+ * パターンXPathの可変の階層を求める
+ * 
+ * - ワイルドカード [*] を含む場合: [*] のセグメント
+ * - 含まない場合: 一致要素の祖先のうち、その階層の要素数が1つ上の階層より多いセグメント
+ *   （例: 2つの ul の下の li に一致する "//ul/li" は ul と li が可変の階層になる）
+ * 
+ * @param {string} xpath - パターンXPath
+ * @param {Element[]} elements - パターンに一致した要素
+ * @returns {number[]} 可変の階層のセグメント位置
+ */
+function inferVariableIndices(xpath, elements) {
+    const segments = parseXPathToSegments(xpath);
+    const wildcardIndices = [];
+    segments.forEach((segment, index) => {
+        if (segment.endsWith("[*]")) {
+            wildcardIndices.push(index);
+        }
+    });
+    if (wildcardIndices.length > 0) {
+        return wildcardIndices;
+    }
+    
+    // 階層に分けられない式（和集合や関数で始まる式など）は可変の階層なしとして扱う
+    const isStep = (segment) => /^(?:[a-z-]+::)?(?:\*|[a-zA-Z_][\w.-]*(?::[a-zA-Z_][\w.-]*)?(?:\(\))?)(?:\[.*\])*$/s.test(segment);
+    if (buildXPathFromSegments(segments) !== xpath || !segments.every((segment) => segment === SHADOW_ROOT_SEGMENT || isStep(segment))) {
+        return [];
+    }
+    
+    const variableIndices = [];
+    let parentCount = 1;
+    segments.forEach((segment, index) => {
+        if (segment === DESCENDANT_SEGMENT || segment === SHADOW_ROOT_SEGMENT) {
+            return;
+        }
+        const levelNodes = evaluateXPath(buildXPathFromSegments(segments.slice(0, index + 1)));
+        const levelIndexMap = new Map(levelNodes.map((node, nodeIndex) => [node, nodeIndex]));
+        const ancestorIndices = new Set(elements.map((element) => findAncestorIndex(element, levelIndexMap)));
+        ancestorIndices.delete(null);
+        if (ancestorIndices.size > parentCount) {
+            variableIndices.push(index);
+        }
+        parentCount = ancestorIndices.size;
+    });
+    return variableIndices;
+}
+
+/**
+ * 入力中のパターンXPathを評価し、一致した要素をハイライトする（パターンは変更しない）
+ * 
+ * @param {string} xpath - パターンXPath（空文字列の場合はプレビューを終了する）
+ * @returns {{ success: boolean, count?: number, error?: string }} 一致件数、または構文エラーなどのエラーメッセージ
+ */
+function previewPatternXPath(xpath) {
+    const trimmed = (xpath || "").trim();
+    if (!trimmed) {
+        cancelPatternXPathPreview();
+        return { success: true, count: 0 };
+    }
+    
+    const result = evaluatePatternXPath(trimmed);
+    if (result.error) {
+        return { success: false, error: result.error };
+    }
+    
+    previewElements = result.elements;
+    refreshHighlights();
+    return { success: true, count: result.elements.length };
+}
+
+/**
+ * パターンXPathのプレビューを終了し、現在のパターンの一致要素のハイライトに戻す
+ */
+function cancelPatternXPathPreview() {
+    if (previewElements === null) {
+        return;
+    }
+    previewElements = null;
+    refreshHighlights();
+}
+
+/**
+ * 入力されたパターンXPathで現在のパターンを置き換え、抽出データを更新する
+ * 
+ * レコードのフィールドは引き継ぎ、それ以外のパターン固有の設定（除外・階層の出力方法・列の設定など）はリセットする
+ * パターンに一致しなくなった選択要素は選択を解除する
+ * 
+ * @param {string} xpath - パターンXPath（ワイルドカード [*] または任意のXPath 1.0）
+ * @returns {{ success: boolean, count?: number, error?: string }} 設定結果
+ */
+function setPatternXPath(xpath) {
+    const trimmed = (xpath || "").trim();
+    const result = evaluatePatternXPath(trimmed);
+    if (result.error) {
+        return { success: false, error: result.error };
+    }
+    if (result.elements.length === 0) {
+        return { success: false, error: "一致する要素がありません" };
+    }
+    
+    replacePattern(trimmed, inferVariableIndices(trimmed, result.elements), result.elements);
+    return { success: true, count: matchedElements.length };
+}
+
+/**
+ * 編集したパターンで現在のパターンを置き換え、抽出データを更新する
+ * 
+ * レコードのフィールドは引き継ぎ、それ以外のパターン固有の設定（除外・階層の出力方法・列の設定など）はリセットする
+ * パターンに一致しなくなった選択要素は選択を解除する
+ * 
+ * @param {string} xpath - パターンXPath
+ * @param {number[]} variableIndices - 可変の階層のセグメント位置
+ * @param {Element[]} elements - パターンに一致した要素
+ */
+function replacePattern(xpath, variableIndices, elements) {
+    let type = variableIndices.length >= 3 ? "nd" : variableIndices.length === 2 ? "2d" : "1d";
+    if (variableIndices.length === 0 && elements.length === 1) {
+        type = "single";
+    }
+    
+    const isRecord = detectedPattern && detectedPattern.type === "record";
+    detectedPattern = isRecord
+        ? { type: "record", xpath: xpath, variableIndices: variableIndices, fields: detectedPattern.fields }
+        : { type: type, xpath: xpath, variableIndices: variableIndices };
+    // レコード以外は列の構成が変わるため、列の設定を以前の列に当てはめないようリセットする
+    if (!isRecord) {
+        columnSettings = [];
+    }
+    selectedElements = selectedElements.filter((sel) => elements.includes(sel.element));
+    previewElements = null;
+    listSuggestion = null;
+    matchedElements = findPatternElements(detectedPattern);
+    
+    refreshHighlights();
+    saveDataToStorage();
+    console.log(`[XPath Extractor] Pattern edited: ${detectedPattern.type}, XPath: ${detectedPattern.xpath}`);
+}
+
+/**
+ * パターンのセグメントを、パンくずリストの表示用の情報に変換する
+ * 
+ * @returns {{ text: string, variable: boolean, toggleable: boolean }[]} セグメントごとの情報
+ *     （子孫ステップ "//" のセグメントは text が "//" で toggleable が false）
+ */
+function describePatternSegments() {
+    const segments = parseXPathToSegments(detectedPattern.xpath);
+    return segments.map((segment, index) => ({
+        text: segment === DESCENDANT_SEGMENT ? "//" : segment,
+        variable: detectedPattern.variableIndices.includes(index),
+        toggleable: isToggleableSegment(segments, index)
+    }));
+}
+
+/**
+ * セグメントを固定の位置とワイルドカードで切り替えられるかどうかを判定する
+ * 子孫ステップと、絶対パスの html・body は切り替えない
+ * 
+ * @param {string[]} segments - パターンのセグメント
+ * @param {number} index - セグメント位置
+ * @returns {boolean} 切り替えられる場合はtrue
+ */
+function isToggleableSegment(segments, index) {
+    const segment = segments[index];
+    return segment !== DESCENDANT_SEGMENT && segment !== SHADOW_ROOT_SEGMENT && !/^(html|body)(\[1\])?$/.test(segment);
+}
+
+/**
+ * パターンのセグメントを固定の位置とワイルドカード [*] で切り替え、一致要素と抽出データを更新する
+ * 
+ * - 固定 → ワイルドカード: 末尾の位置指定 [N] を [*] にする（例: "ul[2]" → "ul[*]"）
+ * - ワイルドカード → 固定: 基準の要素（最初の選択要素、なければ最初の一致要素）の位置にする（例: "li[*]" → "li[3]"）
+ * 
+ * @param {number} index - 切り替えるセグメント位置
+ * @returns {{ success: boolean, count?: number, error?: string }} 切り替え結果
+ */
+function togglePatternSegment(index) {
+    if (!detectedPattern || !detectedPattern.xpath || matchedElements.length === 0) {
+        return { success: false };
+    }
+    
+    const segments = parseXPathToSegments(detectedPattern.xpath);
+    if (!Number.isInteger(index) || !segments[index] || !isToggleableSegment(segments, index)) {
+        return { success: false };
+    }
+    
+    const segment = segments[index];
+    const isVariable = detectedPattern.variableIndices.includes(index);
+    let variableIndices;
+    if (isVariable) {
+        // 基準の要素の祖先のうち、このセグメントに当たる要素の兄弟要素の中での位置
+        const reference = (selectedElements.find((sel) => matchedElements.includes(sel.element)) || { element: matchedElements[0] }).element;
+        const levelNodes = evaluateXPath(buildXPathFromSegments(parseXPathToSegments(toEvaluableXPath(detectedPattern.xpath)).slice(0, index + 1)));
+        const nodeIndex = findAncestorIndex(reference, new Map(levelNodes.map((node, nodeIndex) => [node, nodeIndex])));
+        if (nodeIndex === null) {
+            return { success: false };
+        }
+        const node = levelNodes[nodeIndex];
+        const position = levelNodes.filter((levelNode) => levelNode.parentNode === node.parentNode).indexOf(node) + 1;
+        segments[index] = `${segment.endsWith("[*]") ? segment.slice(0, -3) : segment}[${position}]`;
+        variableIndices = detectedPattern.variableIndices.filter((variableIndex) => variableIndex !== index);
+    } else {
+        segments[index] = `${segment.replace(/\[\d+\]$/, "")}[*]`;
+        variableIndices = [...detectedPattern.variableIndices, index].sort((a, b) => a - b);
+    }
+    
+    const xpath = buildXPathFromSegments(segments);
+    const result = evaluatePatternXPath(xpath);
+    if (result.error || result.elements.length === 0) {
+        return { success: false, error: result.error || "一致する要素がありません" };
+    }
+    
+    replacePattern(xpath, variableIndices, result.elements);
+    return { success: true, count: matchedElements.length };
+}
+
+// ========================================
+// 候補の検出関数
+// ========================================
+
+/**
+ * 要素の構造の署名（タグ名と安定したクラス）を取得する
+ * 同じ署名を持つ兄弟要素を、繰り返し構造の項目とみなす
+ * 例: <li class="item active"> → "li.item"
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {string} 構造の署名
+ */
+function getStructureSignature(element) {
+    const classes = Array.from(element.classList).filter(isStableToken).sort();
+    return [element.localName || element.tagName.toLowerCase(), ...classes].join(".");
+}
+
+/**
+ * 候補の検出で対象外とする要素かどうかを判定する
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {boolean} 対象外の場合はtrue
+ */
+function isIgnoredCandidateElement(element) {
+    return CANDIDATE_IGNORED_TAGS.has(element.localName) || element.classList.contains("xpath-extractor-highlight");
+}
+
+/**
+ * 要素が表示されていないかどうかを判定する
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {boolean} 非表示の場合はtrue
+ */
+function isHiddenElement(element) {
+    if (element.closest("[hidden]")) {
+        return true;
+    }
+    const style = window.getComputedStyle(element);
+    return style.display === "none" || style.visibility === "hidden";
+}
+
+/**
+ * 繰り返し構造の項目から、候補を適用した場合に抽出される列の値を取得する（プレビュー・列数に使用）
+ * テーブルの行はセルごとの列（2次元パターン）、それ以外は項目全体のテキストの1列（1次元パターン）になる
+ * 
+ * @param {Element} item - 繰り返し構造の項目
+ * @returns {string[]} 列の値の配列（テキストがない項目は空配列）
+ */
+function getCandidateCells(item) {
+    if (item.localName === "tr") {
+        return Array.from(item.cells).map((cell) => normalizeText(cell.textContent));
+    }
+    const text = normalizeText(item.textContent);
+    return text ? [text] : [];
+}
+
+/**
+ * 要素の説明（タグ名・ID・クラス）を生成する
+ * 例: "ul#results.list"
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {string} 要素の説明
+ */
+function describeElement(element) {
+    const tagName = element.localName || element.tagName.toLowerCase();
+    const id = element.id && isStableToken(element.id) ? `#${element.id}` : "";
+    const classes = Array.from(element.classList).filter(isStableToken).slice(0, 2).map((className) => `.${className}`).join("");
+    return `${tagName}${id}${classes}`;
+}
+
+/**
+ * 親要素の子要素から、同じ署名を持つ最大の繰り返しグループを取得する
+ * 
+ * @param {Element} parent - 親要素
+ * @returns {Element[]|null} 繰り返しの項目（CANDIDATE_MIN_ITEMS 未満の場合はnull）
+ */
+function findRepeatingChildren(parent) {
+    const groups = new Map();
+    Array.from(parent.children).forEach((child) => {
+        if (isIgnoredCandidateElement(child)) {
+            return;
+        }
+        const signature = getStructureSignature(child);
+        if (!groups.has(signature)) {
+            groups.set(signature, []);
+        }
+        groups.get(signature).push(child);
+    });
+    
+    let largest = null;
+    groups.forEach((items) => {
+        if (!largest || items.length > largest.length) {
+            largest = items;
+        }
+    });
+    return largest && largest.length >= CANDIDATE_MIN_ITEMS ? largest : null;
+}
+
+/**
+ * 繰り返しの項目の規則性（子要素の構成が最も多い構成と一致する項目の割合）を求める
+ * 
+ * @param {Element[]} items - 繰り返しの項目
+ * @returns {number} 規則性（0〜1）
+ */
+function measureRegularity(items) {
+    const counts = new Map();
+    items.forEach((item) => {
+        const structure = Array.from(item.children).map(getStructureSignature).join(",");
+        counts.set(structure, (counts.get(structure) || 0) + 1);
+    });
+    return Math.max(...counts.values()) / items.length;
+}
+
+/**
+ * ページ内の繰り返し構造（テーブルの行・リスト・同じ構成のdivなど）を候補として検出する
+ * 
+ * 1. 同じ署名（タグ名と安定したクラス）の子要素を CANDIDATE_MIN_ITEMS 個以上持つ要素（テーブルの行を除く）を探す
+ * 2. 項目数 × 規則性でスコアを付け、スコアの高い順に並べる
+ * 3. 外側の候補の複数の項目の中で同じように繰り返す構造（各行のセルなど）は、
+ *    外側の候補の2次元パターンとして抽出できるため候補から除く
+ * 
+ * 大きなページでも時間がかからないよう、調べる要素は CANDIDATE_MAX_SCANNED_ELEMENTS 個までとし、
+ * 入れ子の判定は候補どうしの総当たりではなく、各候補の祖先をたどって行う
+ * 
+ * @returns {{ success: boolean, candidates: Object[] }} 候補の一覧（Popupの表示用）
+ */
+function scanCandidates() {
+    const groups = [];
+    const elements = [document.body, ...document.body.querySelectorAll("*")].slice(0, CANDIDATE_MAX_SCANNED_ELEMENTS);
+    elements.forEach((container) => {
+        // 行のセルはテーブルの行の候補の列として抽出するため、行自体は候補にしない
+        if (isIgnoredCandidateElement(container) || container.localName === "tr") {
+            return;
+        }
+        const items = findRepeatingChildren(container);
+        if (!items || isHiddenElement(container)) {
+            return;
+        }
+        const regularity = measureRegularity(items);
+        groups.push({
+            container: container,
+            items: items,
+            key: `${getStructureSignature(container)}>${getStructureSignature(items[0])}`,
+            regularity: regularity,
+            score: items.length * regularity,
+            // この候補の項目の中に現れる構造ごとの、それが現れる項目の番号
+            itemIndicesByKey: new Map(),
+            // この候補を項目の中に含む外側の候補
+            outerGroups: []
+        });
+    });
+    
+    // 外側の候補の2つ以上の項目の中に現れる構造を求める
+    // 要素は1つの親の子要素にしかならないため、各要素が項目になる候補は高々1つ
+    const itemOwners = new Map();
+    groups.forEach((group) => {
+        group.items.forEach((item, itemIndex) => {
+            itemOwners.set(item, { group: group, itemIndex: itemIndex });
+        });
+    });
+    groups.forEach((inner) => {
+        for (let node = inner.container; node; node = node.parentElement) {
+            const owner = itemOwners.get(node);
+            if (!owner) {
+                continue;
+            }
+            if (!owner.group.itemIndicesByKey.has(inner.key)) {
+                owner.group.itemIndicesByKey.set(inner.key, new Set());
+            }
+            owner.group.itemIndicesByKey.get(inner.key).add(owner.itemIndex);
+            inner.outerGroups.push(owner.group);
+        }
+    });
+    const nestedGroups = new Set(groups.filter((inner) => {
+        return inner.outerGroups.some((outer) => outer.itemIndicesByKey.get(inner.key).size >= 2);
+    }));
+    
+    candidateGroups = groups
+        .filter((group) => !nestedGroups.has(group) && group.items.some((item) => getCandidateCells(item).length > 0))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, CANDIDATE_MAX_COUNT);
+    
+    const candidates = candidateGroups.map((group, index) => {
+        const columnCounts = group.items.slice(0, CANDIDATE_PREVIEW_SAMPLE_ITEMS).map((item) => getCandidateCells(item).length);
+        return {
+            index: index,
+            label: `${describeElement(group.container)} > ${describeElement(group.items[0])}`,
+            rowCount: group.items.length,
+            columnCount: Math.max(...columnCounts),
+            regularity: group.regularity,
+            preview: group.items.slice(0, CANDIDATE_PREVIEW_ROWS).map((item) => {
+                return getCandidateCells(item).slice(0, CANDIDATE_PREVIEW_COLUMNS).map((text) => {
+                    return text.length > CANDIDATE_PREVIEW_TEXT_LENGTH ? `${text.slice(0, CANDIDATE_PREVIEW_TEXT_LENGTH)}…` : text;
+                });
+            })
+        };
+    });
+    
+    highlightedCandidate = null;
+    refreshHighlights();
+    return { success: true, framePath: FRAME_PATH, candidates: candidates };
+}
+
+/**
+ * 検出した候補の項目をハイライトする（Popupで候補にマウスを乗せたとき）
+ * 候補が画面外にある場合は、画面内にスクロールする
+ * 
+ * @param {number|null} index - 候補の番号（nullでハイライトを消す）
+ * @returns {{ success: boolean }} 結果
+ */
+function highlightCandidate(index) {
+    const group = index === null || index === undefined ? null : candidateGroups[index];
+    if (group && !group.container.isConnected) {
+        return { success: false };
+    }
+    
+    highlightedCandidate = group || null;
+    refreshHighlights();
+    
+    if (group) {
+        const rect = group.container.getBoundingClientRect();
+        if (rect.bottom < 0 || rect.top > window.innerHeight) {
+            group.container.scrollIntoView({ block: "center" });
+            updateHighlightPositions();
+        }
+    }
+    return { success: true };
+}
+
+/**
+ * 検出した候補をパターンとして適用する
+ * 
+ * 手動で2つの要素をクリックした場合と同じパターンになるよう、選択をやり直して2要素を選択する
+ * - テーブルの行: 1行目の1列目と2行目の2列目のセル（2次元パターン）。1列のみの場合は各行の1列目（1次元パターン）
+ * - それ以外: 1つ目と2つ目の項目（1次元パターン）
+ * 
+ * @param {number} index - 候補の番号
+ * @returns {{ success: boolean, type?: string, count?: number }} 適用結果
+ */
+function applyCandidate(index) {
+    const group = candidateGroups[index];
+    if (!group || !group.container.isConnected) {
+        return { success: false };
+    }
+    
+    let targets = group.items.slice(0, 2);
+    if (group.items[0].localName === "tr") {
+        // 見出し行（thのみの行）よりもデータ行（tdを含む行）を優先する
+        const dataRows = group.items.filter((row) => Array.from(row.cells).some((cell) => cell.localName === "td"));
+        const rows = dataRows.length >= 2 ? dataRows : group.items;
+        const firstCells = Array.from(rows[0].cells);
+        const secondCells = Array.from(rows[1].cells);
+        if (firstCells.length > 0 && secondCells.length > 0) {
+            targets = [firstCells[0], secondCells[Math.min(1, secondCells.length - 1)]];
+        }
+    }
+    
+    selectedElements = targets.map((element) => ({ element: element, xpath: generateAbsoluteXPath(element) }));
+    detectedPattern = null;
+    columnSettings = [];
+    highlightedCandidate = null;
+    
+    updatePattern();
+    refreshHighlights();
+    saveDataToStorage();
+    
+    return { success: true, type: detectedPattern.type, count: matchedElements.length };
+}
+
+// ========================================
+// リストの提案関数
+// ========================================
+
+/**
+ * 要素の子要素の構成（子要素の署名の並び）を取得する
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {string} 子要素の構成
+ */
+function getChildStructure(element) {
+    return Array.from(element.children).map(getStructureSignature).join(",");
+}
+
+/**
+ * 1要素目のクリック後に、クリックした要素が属するリストを提案する
+ * 
+ * クリックした要素から祖先へたどり、同じ署名で同じ子要素の構成を持つ兄弟要素が
+ * 繰り返している（自身を含めて CANDIDATE_MIN_ITEMS 個以上）最も近い階層を探す。
+ * その兄弟要素の中でクリックした要素に当たる要素を2要素目の候補とし、
+ * 2要素目をクリックした場合と同じパターンの一致要素をプレビューとして求める
+ * 行のセルはテーブルの列として扱うため、セルの階層は飛ばして行の階層で探す
+ * 
+ * @param {{ element: Element, xpath: string }} selection - 1要素目の選択
+ * @returns {{ selection: { element: Element, xpath: string }, elements: Element[] }|null} 提案（見つからない場合はnull）
+ */
+function buildListSuggestion(selection) {
+    let current = selection.element;
+    while (getComposedParent(current) && current !== document.body) {
+        const parent = current.parentElement || getParentShadowRoot(current);
+        if (parent.localName !== "tr") {
+            const signature = getStructureSignature(current);
+            const structure = getChildStructure(current);
+            const items = Array.from(parent.children).filter((sibling) => {
+                return getStructureSignature(sibling) === signature && getChildStructure(sibling) === structure;
+            });
+            if (items.length >= CANDIDATE_MIN_ITEMS) {
+                // クリックした要素の次の項目（最後の項目の場合は直前の項目）を2要素目にする
+                const path = buildRelativePath(current, selection.element);
+                const position = items.indexOf(current);
+                const ordered = [...items.slice(position + 1), ...items.slice(0, position).reverse()];
+                const counterpart = ordered.map((item) => findRelativeElement(item, path)).find(Boolean);
+                if (counterpart) {
+                    return previewListSuggestion(selection, counterpart);
+                }
+            }
+        }
+        current = getComposedParent(current);
+    }
+    return null;
+}
+
+/**
+ * 2要素目を選択した場合のパターンの一致要素を求める（選択の状態は元に戻す）
+ * 
+ * @param {{ element: Element, xpath: string }} selection - 1要素目の選択
+ * @param {Element} counterpart - 2要素目の候補
+ * @returns {{ selection: { element: Element, xpath: string }, elements: Element[] }|null} 提案（パターンを検出できない場合はnull）
+ */
+function previewListSuggestion(selection, counterpart) {
+    const suggestedSelection = { element: counterpart, xpath: generateAbsoluteXPath(counterpart) };
+    const saved = { selectedElements, detectedPattern, matchedElements };
+    
+    selectedElements = [selection, suggestedSelection];
+    updatePattern();
+    const elements = detectedPattern && detectedPattern.xpath ? matchedElements : [];
+    
+    selectedElements = saved.selectedElements;
+    detectedPattern = saved.detectedPattern;
+    matchedElements = saved.matchedElements;
+    
+    if (elements.length < CANDIDATE_MIN_ITEMS) {
+        return null;
+    }
+    return { selection: suggestedSelection, elements: elements };
+}
+
+/**
+ * 提案したリストを確定する（2要素目をクリックした場合と同じ）
+ * 
+ * @returns {{ success: boolean, count?: number }} 確定結果
+ */
+function acceptListSuggestion() {
+    if (!listSuggestion || !detectedPattern || detectedPattern.type !== "single" || selectedElements.length !== 1) {
+        return { success: false };
+    }
+    
+    selectedElements.push(listSuggestion.selection);
+    updatePattern();
+    refreshHighlights();
+    saveDataToStorage();
+    return { success: true, count: matchedElements.length };
+}
+
+// ========================================
+// ハイライト表示関数
+// ========================================
+
+/**
+ * 要素にハイライトオーバーレイを追加する
+ * 
+ * SVGやdiv要素ではなく、box-shadowとoutlineを使用することで
+ * ページのレイアウトを崩さずにハイライトを表示する
+ * 
+ * @param {HTMLElement} element - ハイライトする要素
+ * @param {string} type - ハイライトの種類 ("selected" | "matched" | "field" | "candidate" | "suggested")
+ */
+function addHighlight(element, type) {
+    // 既存のハイライトを確認
+    const existingOverlay = highlightOverlays.get(element);
+    if (existingOverlay) {
+        // タイプが同じなら何もしない
+        if (existingOverlay.dataset.highlightType === type) {
+            return;
+        }
+        // タイプが異なる場合は更新
+        removeHighlight(element);
+    }
+    
+    // オーバーレイ用のdiv要素を作成
+    const overlay = document.createElement("div");
+    overlay.className = "xpath-extractor-highlight";
+    overlay.dataset.highlightType = type;
+    
+    // 要素の位置とサイズを取得
+    const rect = element.getBoundingClientRect();
+    const scrollX = window.scrollX || window.pageXOffset;
+    const scrollY = window.scrollY || window.pageYOffset;
+    
+    // オーバーレイのスタイルを設定
+    overlay.style.cssText = `
+        position: absolute;
+        top: ${rect.top + scrollY}px;
+        left: ${rect.left + scrollX}px;
+        width: ${rect.width}px;
+        height: ${rect.height}px;
+        pointer-events: none;
+        z-index: 2147483647;
+        box-sizing: border-box;
+    `;
+    
+    // タイプに応じた色を設定
+    if (type === "selected") {
+        overlay.style.backgroundColor = "rgba(255, 255, 0, 0.3)";
+        overlay.style.border = "2px solid #FFD700";
+    } else if (type === "matched") {
+        overlay.style.backgroundColor = "rgba(144, 238, 144, 0.25)";
+        overlay.style.border = "1px dashed #32CD32";
+    } else if (type === "field") {
+        overlay.style.backgroundColor = "rgba(255, 165, 0, 0.2)";
+        overlay.style.border = "1px solid #FF8C00";
+    } else if (type === "candidate") {
+        overlay.style.backgroundColor = "rgba(100, 149, 237, 0.2)";
+        overlay.style.border = "2px dashed #4169E1";
+    } else if (type === "suggested") {
+        overlay.style.backgroundColor = "rgba(186, 85, 211, 0.2)";
+        overlay.style.border = "1px dashed #9932CC";
+    }
+    
+    // ドキュメントに追加
+    document.body.appendChild(overlay);
+    highlightOverlays.set(element, overlay);
+}
+
+/**
+ * 要素からハイライトオーバーレイを削除する
+ * 
+ * @param {HTMLElement} element - ハイライトを削除する要素
+ */
+function removeHighlight(element) {
+    const overlay = highlightOverlays.get(element);
+    if (overlay) {
+        overlay.remove();
+        highlightOverlays.delete(element);
+    }
+}
+
+/**
+ * 全てのハイライトをクリアする
  */
 function clearAllHighlights() {
     highlightOverlays.forEach((overlay) => {
         overlay.remove();
     });
-    highlightOverlays.clear();
+    highlightOverlays.clear();
+}
+
+/**
+ * 全ての選択状態をリセットする
+ */
+function clearAllSelections() {
+    clearAllHighlights();
+    selectedElements = [];
+    detectedPattern = null;
+    matchedElements = [];
+    previewElements = null;
+    columnSettings = [];
+    highlightedCandidate = null;
+    listSuggestion = null;
+    saveDataToStorage();
+}
+
+/**
+ * 現在の状態に基づいて全てのハイライトを再描画する
+ */
+function refreshHighlights() {
+    clearAllHighlights();
+    
+    // 選択された要素を黄色でハイライト
+    selectedElements.forEach((sel) => {
+        addHighlight(sel.element, "selected");
+    });
+    
+    // パターンに一致した要素（選択されていないもの）を緑でハイライト
+    // Popupで入力中のパターンのプレビュー中は、プレビューの一致要素をハイライトする
+    (previewElements || matchedElements).forEach((element) => {
+        const isSelected = selectedElements.some((sel) => sel.element === element);
+        if (!isSelected) {
+            addHighlight(element, "matched");
+        }
+    });
+    
+    // レコードのフィールドをオレンジでハイライト（既にハイライト済みの要素は除く）
+    if (detectedPattern && detectedPattern.type === "record" && !previewElements) {
+        matchedElements.forEach((container) => {
+            detectedPattern.fields.forEach((field) => {
+                const element = findRelativeElement(container, field.path);
+                if (element && !highlightOverlays.has(element)) {
+                    addHighlight(element, "field");
+                }
+            });
+        });
+    }
+    
+    // 1要素目のクリック後に提案するリストを紫でハイライト（既にハイライト済みの要素は除く）
+    if (listSuggestion && detectedPattern && detectedPattern.type === "single") {
+        listSuggestion.elements.forEach((element) => {
+            if (!highlightOverlays.has(element)) {
+                addHighlight(element, "suggested");
+            }
+        });
+    }
+    
+    // Popupで選択中の候補の項目を青でハイライト（既にハイライト済みの要素は除く）
+    if (highlightedCandidate) {
+        highlightedCandidate.items.forEach((item) => {
+            if (!highlightOverlays.has(item)) {
+                addHighlight(item, "candidate");
+            }
+        });
+    }
+}
+
+/**
+ * ウィンドウのリサイズやスクロール時にハイライト位置を更新する
+ */
+function updateHighlightPositions() {
+    highlightOverlays.forEach((overlay, element) => {
+        const rect = element.getBoundingClientRect();
+        const scrollX = window.scrollX || window.pageXOffset;
+        const scrollY = window.scrollY || window.pageYOffset;
+        
+        overlay.style.top = `${rect.top + scrollY}px`;
+        overlay.style.left = `${rect.left + scrollX}px`;
+        overlay.style.width = `${rect.width}px`;
+        overlay.style.height = `${rect.height}px`;
+    });
+}
+
+// ========================================
+// データ抽出関数
+// ========================================
+
+/**
+ * パターンに一致する全要素からテキストデータを抽出する
+ * 
+ * 抽出形式:
+ * - 単一/複数選択: 1次元配列 ["text1", "text2", ...]
+ * - 1次元パターン: 1次元配列 ["text1", "text2", ...]
+ * - 2次元パターン: 2次元配列 [["r1c1", "r1c2"], ["r2c1", "r2c2"], ...]
+ * 
+ * パターンの場合は列名・列の並び順・非表示の列を反映する
+ * 
+ * @returns {{ data: string[] | string[][], patternInfo: object }}
+ */
+function extractData() {
+    const extracted = extractRawData();
+    if (!detectedPattern || !detectedPattern.xpath || matchedElements.length === 0) {
+        return extracted;
+    }
+    
+    const result = applyColumnLayout(extracted);
+    result.patternInfo.segments = describePatternSegments();
+    if (Array.isArray(detectedPattern.refinements)) {
+        result.patternInfo.exclusions = detectedPattern.refinements.map((refinement) => refinement.label);
+    }
+    if (detectedPattern.type === "single" && listSuggestion) {
+        result.patternInfo.suggestion = { count: listSuggestion.elements.length };
+    }
+    return result;
+}
+
+/**
+ * 列の設定（抽出元）のみを反映してデータを抽出する
+ * 
+ * columnSamples には列ごとの代表の要素（列名の推定に使用）を含める
+ * 
+ * @returns {{ data: string[] | string[][], patternInfo: object, columnSamples?: Element[] }}
+ */
+function extractRawData() {
+    if (!detectedPattern || matchedElements.length === 0) {
+        // 選択要素のテキストのみを返す
+        const texts = selectedElements.map((sel) => {
+            return normalizeText(sel.element.textContent);
+        });
+        return {
+            data: texts,
+            patternInfo: {
+                type: "multiple",
+                count: texts.length,
+                xpath: null
+            }
+        };
+    }
+    
+    if (detectedPattern.variableIndices.length >= 3) {
+        // N次元データの抽出（以前のバージョンで "2d" として保存されたパターンも含む）
+        return extractNDData();
+    }
+    
+    if (detectedPattern.type === "2d") {
+        // 一致要素が1つのテーブルのセルの場合はテーブルとして抽出
+        const table = findPatternTable();
+        if (table) {
+            return extractTableData(table);
+        }
+        // 2次元データの抽出
+        return extract2DData();
+    }
+    
+    if (detectedPattern.type === "record") {
+        // レコード（コンテナごとのフィールド）の抽出
+        return extractRecordData();
+    }
+    
+    // 1次元データの抽出
+    const texts = matchedElements.map((element) => {
+        return extractElementValue(element, getColumnSetting(0));
+    });
+    
+    return {
+        data: texts,
+        patternInfo: {
+            type: detectedPattern.type,
+            count: texts.length,
+            xpath: detectedPattern.xpath,
+            columns: columnSettings
+        },
+        columnSamples: [matchedElements[0]]
+    };
+}
+
+/**
+ * 2次元パターンからマトリックス形式でデータを抽出する
+ * 
+ * 既定では外側の可変の階層を行、内側の可変の階層を列として扱う
+ * （detectedPattern.swapAxes が true の場合は入れ替える。商品ごとに列が並ぶ比較表など）
+ * 
+ * @returns {{ data: string[][], patternInfo: object, columnSamples: Element[] }}
+ */
+function extract2DData() {
+    if (!detectedPattern || detectedPattern.variableIndices.length < 2) {
+        return extractRawData(); // 1次元として処理
+    }
+    
+    const segments = parseXPathToSegments(toEvaluableXPath(detectedPattern.xpath));
+    const varIndices = detectedPattern.variableIndices;
+    const swapped = detectedPattern.swapAxes === true;
+    
+    // パターンを可変の階層までで区切ったXPathで、外側・内側の階層に当たる要素の一覧を求める
+    const outerNodes = evaluateXPath(buildXPathFromSegments(segments.slice(0, varIndices[0] + 1)));
+    const innerNodes = evaluateXPath(buildXPathFromSegments(segments.slice(0, varIndices[1] + 1)));
+    const outerIndexMap = new Map(outerNodes.map((node, index) => [node, index]));
+    const innerIndexMap = new Map(innerNodes.map((node, index) => [node, index]));
+    
+    // 行ごとにデータを収集
+    // 内側の階層は並び順ではなく、兄弟要素の中での位置で識別する
+    // （途中のセルが欠けた行でも、以降の値が左にずれないようにするため）
+    const rowElements = new Map();
+    const rowKeys = new Map();
+    const columnKeys = new Map();
+    const usedKeys = new Set();
+    
+    matchedElements.forEach((element) => {
+        // 外側の位置は、要素自身または祖先のうち外側の階層に当たる要素の順番
+        const outerIndex = findAncestorIndex(element, outerIndexMap);
+        const innerNodeIndex = findAncestorIndex(element, innerIndexMap);
+        if (outerIndex === null || innerNodeIndex === null) {
+            return;
+        }
+        
+        // 1つの内側の要素の中に複数の一致要素がある場合は出現順で区別する
+        const position = getSiblingPosition(innerNodes[innerNodeIndex]);
+        let occurrence = 0;
+        while (usedKeys.has(`${outerIndex}/${position}:${occurrence}`)) {
+            occurrence++;
+        }
+        usedKeys.add(`${outerIndex}/${position}:${occurrence}`);
+        
+        const outerKey = { key: String(outerIndex), order: [outerIndex, 0] };
+        const innerKey = { key: `${position}:${occurrence}`, order: [position, occurrence] };
+        const rowKey = swapped ? innerKey : outerKey;
+        const colKey = swapped ? outerKey : innerKey;
+        rowKeys.set(rowKey.key, rowKey.order);
+        columnKeys.set(colKey.key, colKey.order);
+        
+        if (!rowElements.has(rowKey.key)) {
+            rowElements.set(rowKey.key, new Map());
+        }
+        rowElements.get(rowKey.key).set(colKey.key, element);
+    });
+    
+    // 行・列をそれぞれ位置順に並べる
+    const sortKeys = (keys) => Array.from(keys.keys()).sort((a, b) => {
+        const orderA = keys.get(a);
+        const orderB = keys.get(b);
+        return orderA[0] - orderB[0] || orderA[1] - orderB[1];
+    });
+    const sortedColumnKeys = sortKeys(columnKeys);
+    const sortedRowKeys = sortKeys(rowKeys);
+    
+    // 2次元配列を構築（欠けたセルは空文字列）
+    const matrix = sortedRowKeys.map((rowKey) => {
+        const cells = rowElements.get(rowKey);
+        return sortedColumnKeys.map((colKey, index) => {
+            return cells.has(colKey) ? extractElementValue(cells.get(colKey), getColumnSetting(index)) : "";
+        });
+    });
+    
+    // 多数派と異なる列構成の行を検出する
+    const rowShapes = sortedRowKeys.map((rowKey) => Array.from(rowElements.get(rowKey).keys()).sort().join(","));
+    const irregularRows = findIrregularRows(rowShapes);
+    
+    // 列ごとの代表の要素（その列のセルがある最初の行の要素）
+    const columnSamples = sortedColumnKeys.map((colKey) => {
+        const rowKey = sortedRowKeys.find((key) => rowElements.get(key).has(colKey));
+        return rowElements.get(rowKey).get(colKey);
+    });
+    
+    // 可変の階層と行・列の役割（Popupでの表示用）
+    const patternSegments = parseXPathToSegments(detectedPattern.xpath);
+    const axes = varIndices.slice(0, 2).map((varIndex, axisIndex) => ({
+        segment: patternSegments[varIndex],
+        depth: patternSegments.slice(0, varIndex + 1).filter((segment) => segment !== DESCENDANT_SEGMENT && segment !== SHADOW_ROOT_SEGMENT).length,
+        role: (axisIndex === 0) === !swapped ? "row" : "column"
+    }));
+    
+    return {
+        data: matrix,
+        patternInfo: {
+            type: "2d",
+            rows: matrix.length,
+            cols: sortedColumnKeys.length,
+            irregularRows: irregularRows,
+            axes: axes,
+            swapAxes: swapped,
+            xpath: detectedPattern.xpath,
+            columns: columnSettings
+        },
+        columnSamples: columnSamples
+    };
+}
+
+/**
+ * 2次元パターンの行と列の役割を入れ替えるかどうかを設定し、抽出データを更新する
+ * 列の構成が変わるため、列の設定・並び順・1行目を列名にするかどうかはリセットする
+ * 
+ * @param {boolean} swapAxes - 内側の可変の階層を行にする場合はtrue
+ * @returns {{ success: boolean }} 設定結果
+ */
+function setAxesSwapped(swapAxes) {
+    if (!detectedPattern || detectedPattern.type !== "2d" || detectedPattern.variableIndices.length !== 2 || findPatternTable()) {
+        return { success: false };
+    }
+    
+    const { columnOrder, firstRowHeader, ...pattern } = detectedPattern;
+    detectedPattern = { ...pattern, swapAxes: swapAxes === true };
+    columnSettings = [];
+    
+    saveDataToStorage();
+    return { success: true };
+}
+
+/**
+ * 要素の同じタグの兄弟要素の中での位置を取得する（XPathのインデックスと同じ1始まり）
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {number} 位置
+ */
+function getSiblingPosition(element) {
+    let position = 1;
+    let sibling = element.previousElementSibling;
+    while (sibling) {
+        if (sibling.localName === element.localName) {
+            position++;
+        }
+        sibling = sibling.previousElementSibling;
+    }
+    return position;
+}
+
+/**
+ * 一致要素が全て同じテーブルのセル（またはセル内の要素）の場合、そのテーブルを取得する
+ * 
+ * @returns {HTMLTableElement|null} テーブル（テーブルのセルでない場合はnull）
+ */
+function findPatternTable() {
+    if (matchedElements.length === 0) {
+        return null;
+    }
+    
+    let table = null;
+    for (const element of matchedElements) {
+        const cell = element.closest("td, th");
+        const cellTable = cell ? cell.closest("table") : null;
+        if (!cellTable || (table && cellTable !== table)) {
+            return null;
+        }
+        table = cellTable;
+    }
+    return table;
+}
+
+/**
+ * テーブルの行グループ（thead・tbody・tfoot）の行を、colspan・rowspan を展開したグリッドにする
+ * 
+ * rowspan は行グループをまたがないため、行グループごとに展開する
+ * 
+ * @param {HTMLTableRowElement[]} rows - 行グループの行
+ * @returns {HTMLTableCellElement[][]} グリッド（結合されたセルは複数のマスに同じセルが入る）
+ */
+function buildTableGrid(rows) {
+    const grid = rows.map(() => []);
+    
+    rows.forEach((row, rowIndex) => {
+        let colIndex = 0;
+        Array.from(row.cells).forEach((cell) => {
+            // 上の行からの rowspan で埋まっているマスは飛ばす
+            while (grid[rowIndex][colIndex]) {
+                colIndex++;
+            }
+            
+            const colSpan = Math.max(1, cell.colSpan || 1);
+            // rowspan="0" は行グループの最後の行まで
+            const rowSpan = cell.rowSpan === 0 ? rows.length - rowIndex : Math.max(1, Math.min(cell.rowSpan || 1, rows.length - rowIndex));
+            for (let r = 0; r < rowSpan; r++) {
+                for (let c = 0; c < colSpan; c++) {
+                    grid[rowIndex + r][colIndex + c] = cell;
+                }
+            }
+            colIndex += colSpan;
+        });
+    });
+    return grid;
+}
+
+/**
+ * テーブルとしてデータを抽出する
+ * 
+ * - thead の行（thead がない場合は先頭の th だけの行）を列名にする
+ * - colspan・rowspan で結合されたセルは、結合範囲の全てのマスに同じ値を入れる
+ * - 一致要素を含む列のみを出力する
+ * - tfoot の行は includeFooter が true の場合のみ含める
+ * 
+ * @param {HTMLTableElement} table - 抽出するテーブル
+ * @returns {{ data: string[][], patternInfo: object }}
+ */
+function extractTableData(table) {
+    const includeFooter = detectedPattern.includeFooter === true;
+    const headerGrid = table.tHead ? buildTableGrid(Array.from(table.tHead.rows)) : [];
+    let bodyGrid = [];
+    Array.from(table.tBodies).forEach((tbody) => {
+        bodyGrid = bodyGrid.concat(buildTableGrid(Array.from(tbody.rows)));
+    });
+    const footerGrid = table.tFoot ? buildTableGrid(Array.from(table.tFoot.rows)) : [];
+    
+    // thead がない場合は先頭の th だけの行を見出し行として扱う
+    if (headerGrid.length === 0) {
+        while (bodyGrid.length > 0 && bodyGrid[0].length > 0 && bodyGrid[0].every((cell) => cell && cell.tagName === "TH")) {
+            headerGrid.push(bodyGrid.shift());
+        }
+    }
+    
+    // セル → セル内の一致要素（一致要素がセル自身の場合はセル）
+    const matchedByCell = new Map();
+    matchedElements.forEach((element) => {
+        const cell = element.closest("td, th");
+        if (!matchedByCell.has(cell)) {
+            matchedByCell.set(cell, element);
+        }
+    });
+    
+    // 一致要素を含む列
+    const allRows = [...headerGrid, ...bodyGrid, ...footerGrid];
+    const colCount = allRows.length > 0 ? Math.max(...allRows.map((row) => row.length)) : 0;
+    const columns = [];
+    for (let c = 0; c < colCount; c++) {
+        if (allRows.some((row) => row[c] && matchedByCell.has(row[c]))) {
+            columns.push(c);
+        }
+    }
+    
+    // 一致要素がセル自身の場合は、パターンに一致しない tfoot の行のセルもそのまま使用する
+    // tbody の行のうち一致要素を含まない行（除外した行など）は出力しない
+    const matchesAreCells = matchedElements.every((element) => element.matches("td, th"));
+    const bodyRows = bodyGrid.filter((row) => row.some((cell) => cell && matchedByCell.has(cell)));
+    const footerRows = new Set(includeFooter ? footerGrid : []);
+    const dataRows = [...bodyRows, ...footerRows];
+    const matrix = dataRows.map((row) => {
+        return columns.map((c, index) => {
+            const cell = row[c];
+            if (!cell) {
+                return "";
+            }
+            const element = matchedByCell.get(cell) || (matchesAreCells && footerRows.has(row) ? cell : null);
+            return element ? extractElementValue(element, getColumnSetting(index)) : "";
+        });
+    });
+    
+    // 見出し行が複数ある場合は、列ごとに異なる見出しを " / " で連結する
+    let columnNames;
+    if (headerGrid.length > 0) {
+        columnNames = columns.map((c) => {
+            const names = [];
+            headerGrid.forEach((row) => {
+                const name = row[c] ? normalizeText(row[c].textContent) : "";
+                if (name && names[names.length - 1] !== name) {
+                    names.push(name);
+                }
+            });
+            return names.join(" / ");
+        });
+    }
+    
+    return {
+        data: matrix,
+        patternInfo: {
+            type: "2d",
+            table: true,
+            hasFooter: footerGrid.length > 0,
+            includeFooter: includeFooter,
+            rows: matrix.length,
+            cols: columns.length,
+            columnNames: columnNames,
+            xpath: detectedPattern.xpath,
+            columns: columnSettings
+        },
+        columnSamples: columns.map((c) => {
+            const row = bodyGrid.find((gridRow) => gridRow[c] && matchedByCell.has(gridRow[c]));
+            return row ? matchedByCell.get(row[c]) : null;
+        })
+    };
+}
+
+/**
+ * テーブルの tfoot の行を含めるかどうかを設定し、抽出データを更新する
+ * 
+ * @param {boolean} includeFooter - tfoot の行を含める場合はtrue
+ * @returns {{ success: boolean }} 設定結果
+ */
+function setTableFooterIncluded(includeFooter) {
+    if (!detectedPattern || !findPatternTable()) {
+        return { success: false };
+    }
+    
+    detectedPattern.includeFooter = includeFooter === true;
+    saveDataToStorage();
+    return { success: true };
+}
+
+/**
+ * 多数派と異なる構成の行を検出する
+ * 
+ * @param {string[]} rowShapes - 行ごとの構成（存在する列のキーを連結した文字列）
+ * @returns {number[]} 多数派と異なる行の番号（0始まり）
+ */
+function findIrregularRows(rowShapes) {
+    const shapeCounts = new Map();
+    rowShapes.forEach((shape) => {
+        shapeCounts.set(shape, (shapeCounts.get(shape) || 0) + 1);
+    });
+    
+    let majorityShape = null;
+    let majorityCount = 0;
+    shapeCounts.forEach((count, shape) => {
+        if (count > majorityCount) {
+            majorityShape = shape;
+            majorityCount = count;
+        }
+    });
+    
+    const irregularRows = [];
+    rowShapes.forEach((shape, index) => {
+        if (shape !== majorityShape) {
+            irregularRows.push(index);
+        }
+    });
+    return irregularRows;
+}
+
+/**
+ * コンテナごとに各フィールドの値を抽出する
+ * 
+ * 1コンテナ = 1行、1フィールド = 1列とし、
+ * フィールドが見つからないコンテナの値はnullにする
+ * 
+ * @returns {{ data: (string|null)[][], patternInfo: object }}
+ */
+function extractRecordData() {
+    const fields = detectedPattern.fields;
+    const records = matchedElements.map((container) => {
+        return fields.map((field, index) => {
+            const element = findRelativeElement(container, field.path);
+            return element ? extractElementValue(element, getColumnSetting(index)) : null;
+        });
+    });
+    
+    return {
+        data: records,
+        patternInfo: {
+            type: "record",
+            count: records.length,
+            rows: records.length,
+            cols: fields.length,
+            columnNames: fields.map((field) => field.name),
+            fields: fields,
+            xpath: detectedPattern.xpath,
+            columns: columnSettings
+        }
+    };
+}
+
+/**
+ * 可変の階層が3つ以上のパターンから、階層ごとにグループ化してデータを抽出する
+ * 
+ * 最後の可変の階層を列、その1つ上を行、それより上をグループとして扱う
+ * （例: カテゴリ → 商品 → 仕様 の場合、カテゴリがグループ、商品が行、仕様が列）
+ * 
+ * - data: 表示・CSVなど用の表形式。列に展開（flatten）したグループの階層は先頭の列（グループ内の番号）になる
+ * - patternInfo.nestedData: JSON用の入れ子の配列（グループ → 行 → セル）。列に展開した階層は入れ子にしない
+ * 
+ * @returns {{ data: string[][], patternInfo: object }}
+ */
+function extractNDData() {
+    const segments = parseXPathToSegments(toEvaluableXPath(detectedPattern.xpath));
+    // 外側の階層から順に処理する（variableIndices は階層順に並んでいる）
+    const varIndices = detectedPattern.variableIndices;
+    const levelModes = getLevelModes();
+    
+    // 可変の階層ごとに、その階層に当たる要素の順番を求めるMap
+    const indexMaps = varIndices.map((varIndex) => {
+        const nodes = evaluateXPath(buildXPathFromSegments(segments.slice(0, varIndex + 1)));
+        return new Map(nodes.map((node, index) => [node, index]));
+    });
+    
+    const entries = [];
+    matchedElements.forEach((element) => {
+        const keys = indexMaps.map((indexMap) => findAncestorIndex(element, indexMap));
+        if (!keys.includes(null)) {
+            entries.push({ keys: keys, element: element });
+        }
+    });
+    
+    const data = buildNDRows(entries, 0, [], levelModes, false);
+    const nestedData = buildNDRows(entries, 0, [], levelModes, true);
+    const leadingColumns = levelModes.filter((mode) => mode === "flatten").length;
+    const cellCount = data.length > 0 ? Math.max(...data.map((row) => row.length)) - leadingColumns : 0;
+    
+    // 列に展開したグループの階層がある場合は、先頭の列が分かるように列名を付ける
+    // （値の列の列名は applyColumnLayout() で付ける）
+    let columnNames;
+    if (leadingColumns > 0) {
+        columnNames = [];
+        levelModes.forEach((mode, level) => {
+            if (mode === "flatten") {
+                columnNames.push(`レベル${level + 1}`);
+            }
+        });
+    }
+    
+    return {
+        data: data,
+        patternInfo: {
+            type: "nd",
+            rows: data.length,
+            cols: leadingColumns + cellCount,
+            columnNames: columnNames,
+            leadingColumns: leadingColumns,
+            // 列の階層は1行あたりの最大の列数、それ以外は要素数
+            levels: varIndices.map((varIndex, level) => ({
+                count: level === varIndices.length - 1 ? cellCount : new Set(entries.map((entry) => entry.keys[level])).size,
+                mode: level < levelModes.length ? levelModes[level] : null
+            })),
+            nestedData: nestedData,
+            xpath: detectedPattern.xpath,
+            columns: columnSettings
+        }
+    };
+}
+
+/**
+ * N次元パターンの行より上のグループの階層ごとの出力方法を取得する
+ * 
+ * @returns {string[]} 階層ごとの出力方法（'nest' | 'flatten'）
+ */
+function getLevelModes() {
+    const groupLevelCount = detectedPattern.variableIndices.length - 2;
+    const levelModes = detectedPattern.levelModes || [];
+    const modes = [];
+    for (let level = 0; level < groupLevelCount; level++) {
+        modes.push(levelModes[level] === "flatten" ? "flatten" : "nest");
+    }
+    return modes;
+}
+
+/**
+ * 指定した階層の番号でエントリをグループ化する
+ * 
+ * @param {{ keys: number[], element: Element }[]} entries - 階層ごとの番号と要素
+ * @param {number} level - グループ化する階層
+ * @returns {Array<Array>} グループの配列（階層の番号順）
+ */
+function groupEntriesByLevel(entries, level) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const key = entry.keys[level];
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(entry);
+    });
+    return Array.from(groups.keys())
+        .sort((a, b) => a - b)
+        .map((key) => groups.get(key));
+}
+
+/**
+ * N次元パターンのエントリを階層ごとに再帰的に組み立てる
+ * 
+ * @param {{ keys: number[], element: Element }[]} entries - 階層ごとの番号と要素
+ * @param {number} level - 処理中の階層
+ * @param {number[]} prefix - 列に展開したグループの番号（各行の先頭に追加する）
+ * @param {string[]} levelModes - グループの階層ごとの出力方法
+ * @param {boolean} nested - true の場合、列に展開しないグループの階層を入れ子の配列にする
+ * @returns {Array} 行の配列、または入れ子の配列
+ */
+function buildNDRows(entries, level, prefix, levelModes, nested) {
+    const rowLevel = entries.length > 0 ? entries[0].keys.length - 2 : 0;
+    const groups = groupEntriesByLevel(entries, level);
+    
+    // 行の階層: 列の階層の順に値を並べる
+    if (level === rowLevel) {
+        return groups.map((rowEntries) => {
+            rowEntries.sort((a, b) => a.keys[level + 1] - b.keys[level + 1]);
+            const cells = rowEntries.map((entry, index) => extractElementValue(entry.element, getColumnSetting(index)));
+            return [...prefix.map(String), ...cells];
+        });
+    }
+    
+    if (levelModes[level] === "flatten") {
+        return groups.flatMap((groupEntries, index) => buildNDRows(groupEntries, level + 1, [...prefix, index + 1], levelModes, nested));
+    }
+    if (nested) {
+        return groups.map((groupEntries) => buildNDRows(groupEntries, level + 1, prefix, levelModes, nested));
+    }
+    return groups.flatMap((groupEntries) => buildNDRows(groupEntries, level + 1, prefix, levelModes, nested));
+}
+
+/**
+ * N次元パターンのグループの階層の出力方法を設定し、抽出データを更新する
+ * 
+ * @param {number} level - グループの階層（0始まり）
+ * @param {string} mode - 'nest'（入れ子にする）| 'flatten'（列に展開する）
+ * @returns {{ success: boolean }} 設定結果
+ */
+function setLevelMode(level, mode) {
+    if (!detectedPattern || detectedPattern.variableIndices.length < 3 || level < 0 || level >= detectedPattern.variableIndices.length - 2) {
+        return { success: false };
+    }
+    
+    const levelModes = getLevelModes();
+    levelModes[level] = mode === "flatten" ? "flatten" : "nest";
+    detectedPattern.levelModes = levelModes;
+    
+    saveDataToStorage();
+    return { success: true };
+}
+
+/**
+ * 要素自身または祖先のうち、Mapに含まれる最も近い要素の値を取得する
+ * 
+ * @param {Element} element - 起点の要素
+ * @param {Map<Element, number>} indexMap - 要素 → 順番 のMap
+ * @returns {number|null} 見つかった要素の順番（見つからない場合はnull）
+ */
+function findAncestorIndex(element, indexMap) {
+    let current = element;
+    while (current) {
+        if (indexMap.has(current)) {
+            return indexMap.get(current);
+        }
+        current = getComposedParent(current);
+    }
+    return null;
+}
+
+/**
+ * 列の抽出元の設定を取得する
+ * 
+ * @param {number} index - 列番号（0始まり）
+ * @returns {{ source: string, attribute?: string }} 抽出元の設定（未設定の場合はテキスト）
+ */
+function getColumnSetting(index) {
+    return columnSettings[index] || { source: "text" };
+}
+
+/**
+ * 列の設定に従って要素から値を抽出する
+ * 
+ * - text: textContent を正規化したテキスト
+ * - innerText: 表示されているテキスト（非表示要素を除く）を正規化したテキスト
+ * - attribute: 指定した属性の値（href・src などのURL属性は絶対URLに変換）
+ * - outerHTML / innerHTML: 要素のHTML
+ * - value: input・select・textarea の現在の値
+ * 
+ * @param {Element} element - 抽出元の要素
+ * @param {{ source: string, attribute?: string }} column - 列の抽出元の設定
+ * @returns {string} 抽出した値
+ */
+function extractElementValue(element, column) {
+    switch (column.source) {
+        case "innerText":
+            return normalizeText(element.innerText);
+        case "attribute":
+            return getAttributeValue(element, column.attribute);
+        case "outerHTML":
+            return element.outerHTML;
+        case "innerHTML":
+            return element.innerHTML;
+        case "value":
+            if ("value" in element) {
+                return String(element.value);
+            }
+            return element.getAttribute("value") || "";
+        default:
+            return normalizeText(element.textContent);
+    }
+}
+
+/**
+ * 要素の属性値を取得する
+ * URL属性の場合は相対パスをページのURLを基準に絶対URLに変換する
+ * 
+ * @param {Element} element - 対象の要素
+ * @param {string} name - 属性名
+ * @returns {string} 属性値（属性がない場合は空文字列）
+ */
+function getAttributeValue(element, name) {
+    if (!name) {
+        return "";
+    }
+    
+    const value = element.getAttribute(name);
+    if (value === null) {
+        return "";
+    }
+    
+    if (URL_ATTRIBUTES.has(name.toLowerCase()) && value.trim() !== "") {
+        try {
+            return new URL(value.trim(), document.baseURI).href;
+        } catch (error) {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * 列の抽出元を設定し、抽出データを更新する
+ * 
+ * @param {number} index - 列番号（0始まり）
+ * @param {{ source: string, attribute?: string }} column - 抽出元の設定
+ * @returns {{ success: boolean }} 設定結果
+ */
+function setColumnSetting(index, column) {
+    if (!Number.isInteger(index) || index < 0 || !column) {
+        return { success: false };
+    }
+    
+    // 列名・非表示の設定は引き継ぐ
+    const { source, attribute, ...layout } = getColumnSetting(index);
+    writeColumnSetting(index, column.source === "attribute"
+        ? { ...layout, source: "attribute", attribute: (column.attribute || "").trim() }
+        : { ...layout, source: column.source || "text" });
+    
+    saveDataToStorage();
+    return { success: true };
+}
+
+/**
+ * 列の設定を書き込む（それより前の未設定の列は既定の設定で埋める）
+ * 
+ * @param {number} index - 列番号（0始まり）
+ * @param {object} column - 列の設定
+ */
+function writeColumnSetting(index, column) {
+    columnSettings = [...columnSettings];
+    for (let i = 0; i < index; i++) {
+        columnSettings[i] = getColumnSetting(i);
+    }
+    columnSettings[index] = column;
+}
+
+/**
+ * 列名・列の並び順・非表示の列・1行目を見出しにするかどうかを設定し、抽出データを更新する
+ * 
+ * @param {{ index?: number, name?: string, visible?: boolean, order?: number[], firstRowHeader?: boolean }} update
+ *     - index と name: 列名（空文字列の場合は推定した列名に戻す）
+ *     - index と visible: 列を出力するかどうか
+ *     - order: 出力する列の並び順（抽出元の列番号の配列）
+ *     - firstRowHeader: 1行目を列名として使用するかどうか
+ * @returns {{ success: boolean }} 設定結果
+ */
+function updateColumnLayout(update) {
+    if (!detectedPattern || !detectedPattern.xpath || !update) {
+        return { success: false };
+    }
+    
+    if (update.index !== undefined) {
+        if (!Number.isInteger(update.index) || update.index < 0) {
+            return { success: false };
+        }
+        const column = { ...getColumnSetting(update.index) };
+        if (typeof update.name === "string") {
+            const name = update.name.trim();
+            if (name) {
+                column.name = name;
+            } else {
+                delete column.name;
+            }
+        }
+        if (typeof update.visible === "boolean") {
+            if (update.visible) {
+                delete column.hidden;
+            } else {
+                column.hidden = true;
+            }
+        }
+        writeColumnSetting(update.index, column);
+    }
+    
+    if (Array.isArray(update.order)) {
+        detectedPattern.columnOrder = update.order.filter((index) => Number.isInteger(index) && index >= 0);
+    }
+    if (typeof update.firstRowHeader === "boolean") {
+        detectedPattern.firstRowHeader = update.firstRowHeader;
+    }
+    
+    saveDataToStorage();
+    return { success: true };
+}
+
+/**
+ * 抽出データに列名・列の並び順・非表示の列を反映する
+ * 
+ * 列名は以下の優先順で決める
+ * 1. ユーザーが入力した列名
+ * 2. 抽出時に求めた列名（テーブルの見出し・レコードのフィールド名）
+ * 3. 1行目（見出し行として扱う場合、または見出し行らしい場合）
+ * 4. 列の要素のラベル（aria-label・label要素・直前の見出し要素など）
+ * 
+ * N次元パターンで列に展開したグループの番号の列（leadingColumns）は常に先頭に出力する
+ * 
+ * @param {{ data: Array, patternInfo: object, columnSamples?: Element[] }} extracted - extractRawData() の結果
+ * @returns {{ data: Array, patternInfo: object }} 列の設定を反映した抽出結果
+ */
+function applyColumnLayout(extracted) {
+    const patternInfo = { ...extracted.patternInfo };
+    const samples = extracted.columnSamples || [];
+    const isFlat = patternInfo.type !== "2d" && patternInfo.type !== "nd" && patternInfo.type !== "record";
+    const leadingColumns = patternInfo.leadingColumns || 0;
+    const sourceCount = isFlat ? 1 : Math.max(0, (patternInfo.cols || 0) - leadingColumns);
+    let rows = extracted.data;
+    
+    // 1行目を見出し行として扱う（テーブル以外の2次元パターンのみ）
+    // 自動で見出し行にするのは th の中にある場合のみ。数値の列の上の1行目は列名の提案にだけ使い、データには残す
+    let headerRow = null;
+    let proposedHeaderRow = null;
+    if (patternInfo.type === "2d" && !patternInfo.table && rows.length >= 2) {
+        patternInfo.firstRowHeaderAvailable = true;
+        patternInfo.firstRowHeader = detectedPattern.firstRowHeader !== undefined
+            ? detectedPattern.firstRowHeader === true
+            : isHeaderCellRow(samples);
+        if (detectedPattern.firstRowHeader === undefined && !patternInfo.firstRowHeader && isHeaderLikeRow(rows)) {
+            proposedHeaderRow = rows[0];
+        }
+        if (patternInfo.firstRowHeader) {
+            headerRow = rows[0];
+            rows = rows.slice(1);
+            patternInfo.rows = rows.length;
+            if (Array.isArray(patternInfo.irregularRows)) {
+                patternInfo.irregularRows = patternInfo.irregularRows.filter((row) => row > 0).map((row) => row - 1);
+            }
+        }
+    }
+    
+    const existingNames = Array.isArray(patternInfo.columnNames) ? patternInfo.columnNames.slice(leadingColumns) : [];
+    const nameRow = headerRow || proposedHeaderRow;
+    const layout = normalizeColumnOrder(detectedPattern.columnOrder, sourceCount).map((index) => {
+        const column = getColumnSetting(index);
+        const proposed = existingNames[index]
+            || (nameRow && nameRow[index] ? String(nameRow[index]) : "")
+            || (samples[index] ? findColumnLabel(samples[index]) : "");
+        return {
+            index: index,
+            name: column.name || "",
+            proposed: proposed,
+            // 1次元パターンの唯一の列は非表示にできない
+            visible: isFlat || column.hidden !== true,
+            source: column.source,
+            attribute: column.attribute
+        };
+    });
+    const visibleColumns = layout.filter((column) => column.visible);
+    
+    // 列名が1つもない場合は、これまで通り列名なしで出力する
+    if (Array.isArray(patternInfo.columnNames) || layout.some((column) => column.name || column.proposed)) {
+        patternInfo.columnNames = [
+            ...(Array.isArray(patternInfo.columnNames) ? patternInfo.columnNames.slice(0, leadingColumns) : []),
+            ...visibleColumns.map((column) => column.name || column.proposed || `列${column.index + 1}`)
+        ];
+    }
+    patternInfo.columnLayout = layout;
+    
+    if (isFlat) {
+        return { data: rows, patternInfo: patternInfo };
+    }
+    
+    // 列の並び替え・非表示が不要な場合はそのまま返す（N次元パターンの長さの異なる行を保つため）
+    const isIdentity = visibleColumns.length === sourceCount && visibleColumns.every((column, i) => column.index === i);
+    if (!isIdentity) {
+        const arrangeRow = (row) => [
+            ...row.slice(0, leadingColumns),
+            ...visibleColumns.map((column) => {
+                const value = row[leadingColumns + column.index];
+                return value === undefined ? "" : value;
+            })
+        ];
+        rows = rows.map(arrangeRow);
+        patternInfo.cols = leadingColumns + visibleColumns.length;
+        
+        if (Array.isArray(patternInfo.nestedData)) {
+            // 入れ子にしたグループの階層の数だけ潜って行を並び替える
+            const nestDepth = (patternInfo.levels || []).filter((level) => level.mode === "nest").length;
+            const arrangeNested = (value, depth) => depth === 0
+                ? value.map(arrangeRow)
+                : value.map((child) => arrangeNested(child, depth - 1));
+            patternInfo.nestedData = arrangeNested(patternInfo.nestedData, nestDepth);
+        }
+    }
+    
+    return { data: rows, patternInfo: patternInfo };
+}
+
+/**
+ * 保存されている列の並び順を、現在の列数に合わせて補正する
+ * 範囲外・重複した列番号は除き、並び順に含まれない列は末尾に追加する
+ * 
+ * @param {number[]|undefined} order - 保存されている並び順（抽出元の列番号の配列）
+ * @param {number} count - 抽出元の列数
+ * @returns {number[]} 補正した並び順
+ */
+function normalizeColumnOrder(order, count) {
+    const result = [];
+    (Array.isArray(order) ? order : []).forEach((index) => {
+        if (Number.isInteger(index) && index >= 0 && index < count && !result.includes(index)) {
+            result.push(index);
+        }
+    });
+    for (let index = 0; index < count; index++) {
+        if (!result.includes(index)) {
+            result.push(index);
+        }
+    }
+    return result;
+}
+
+/**
+ * 1行目の要素が全て th の中にあるかどうかを判定する（自動で見出し行として扱う条件）
+ * 
+ * @param {Element[]} samples - 列ごとの代表の要素
+ * @returns {boolean} 全て th の中にある場合はtrue
+ */
+function isHeaderCellRow(samples) {
+    return samples.length > 0 && samples.every((element) => element && element.closest("th"));
+}
+
+/**
+ * 1行目が見出し行らしいかどうかを判定する（1行目が全て数値以外の値で、以降の行が全て数値の列がある）
+ * 
+ * 商品名の下に価格が並ぶデータなども当てはまるため、列名の提案にのみ使い、データからは除かない
+ * 
+ * @param {string[][]} rows - 抽出データ
+ * @returns {boolean} 見出し行らしい場合はtrue
+ */
+function isHeaderLikeRow(rows) {
+    const isNumeric = (value) => /\d/.test(value) && /^[-+]?[\d,.\s%$¥€円]+$/.test(value);
+    const firstRow = rows[0];
+    if (firstRow.length === 0 || firstRow.some((value) => !value || isNumeric(value))) {
+        return false;
+    }
+    return firstRow.some((value, index) => {
+        const values = rows.slice(1).map((row) => row[index]).filter((cell) => cell);
+        return values.length > 0 && values.every(isNumeric);
+    });
 }
 
 /**
- * 全ての選択状態をリセットする
+ * 要素のラベルとなるテキストを探す（列名の推定に使用）
+ * 
+ * 1. aria-label・aria-labelledby
+ * 2. for 属性で関連付けられた label 要素
+ * 3. 要素（または親要素）の直前の label・dt・th・b・strong 要素や「:」で終わるテキスト
+ * 
+ * @param {Element} element - 列の代表の要素
+ * @returns {string} ラベル（見つからない場合は空文字列）
  */
-function clearAllSelections() {
+function findColumnLabel(element) {
+    const ariaLabel = normalizeText(element.getAttribute("aria-label"));
+    if (ariaLabel) {
+        return ariaLabel;
+    }
+    
+    const labelledBy = (element.getAttribute("aria-labelledby") || "").split(/\s+/)
+        .map((id) => document.getElementById(id))
+        .filter((labelElement) => labelElement)
+        .map((labelElement) => normalizeText(labelElement.textContent))
+        .join(" ")
+        .trim();
+    if (labelledBy) {
+        return labelledBy;
+    }
+    
+    if (element.id) {
+        const label = document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+        if (label && normalizeText(label.textContent)) {
+            return normalizeText(label.textContent);
+        }
+    }
+    
+    for (const target of [element, element.parentElement]) {
+        const previous = target ? target.previousElementSibling : null;
+        if (!previous) {
+            continue;
+        }
+        const text = normalizeText(previous.textContent);
+        const isLabelElement = ["label", "dt", "th", "b", "strong"].includes(previous.localName);
+        // 長いテキストは見出しではなく本文とみなす
+        if (text && text.length <= 40 && (isLabelElement || /[:：]$/.test(text))) {
+            return text.replace(/\s*[:：]$/, "");
+        }
+    }
+    return "";
+}
+
+/**
+ * テキストを正規化する（改行・タブ・連続空白を整理）
+ * 
+ * @param {string} text - 正規化するテキスト
+ * @returns {string} 正規化されたテキスト
+ */
+function normalizeText(text) {
+    if (!text) {
+        return "";
+    }
+    return text
+        .replace(/[\r\n\t]+/g, " ") // 改行・タブを空白に
+        .replace(/\s+/g, " ") // 連続空白を単一空白に
+        .trim(); // 前後の空白を削除
+}
+
+// ========================================
+// パターンの保存・適用関数
+// ========================================
+
+/**
+ * 現在のパターンをレシピとして保存できる形式で取得する
+ * XPathを持たないパターン（複数選択など）は再適用できないためnullを返す
+ * 
+ * @returns {object|null} パターン情報のコピー
+ */
+function buildPatternSnapshot() {
+    if (!detectedPattern || !detectedPattern.xpath) {
+        return null;
+    }
+    // レシピの適用時に同じ位置のフレームで評価するため、フレームのパスを含める
+    return JSON.parse(JSON.stringify({ ...detectedPattern, columns: columnSettings, framePath: FRAME_PATH }));
+}
+
+/**
+ * 保存済みのパターンを現在のページに適用する
+ * 要素を手動で選択せずに、パターンから一致要素の検出とデータ抽出を行う
+ * 
+ * @param {object} pattern - buildPatternSnapshot() で取得したパターン情報
+ * @param {{ save?: boolean }} [options] - save: false の場合は抽出データを保存しない（ページ巡回中など）
+ * @returns {{ success: boolean, count: number }} 適用結果
+ */
+function applyPatternSnapshot(pattern, options = {}) {
+    if (!pattern || !pattern.xpath) {
+        return { success: false, count: 0 };
+    }
+    
     clearAllHighlights();
     selectedElements = [];
-    detectedPattern = null;
-    matchedElements = [];
+    previewElements = null;
+    listSuggestion = null;
+    const { columns, ...patternWithoutColumns } = pattern;
+    detectedPattern = {
+        ...patternWithoutColumns,
+        // レシピに保存された可変位置が階層順とは限らないため、読み込み時に並べ替える
+        variableIndices: Array.isArray(pattern.variableIndices) ? [...pattern.variableIndices].sort((a, b) => a - b) : []
+    };
+    columnSettings = Array.isArray(columns) ? columns.map((column) => ({ ...column })) : [];
+    matchedElements = findPatternElements(detectedPattern);
+    
+    refreshHighlights();
+    if (options.save !== false) {
+        saveDataToStorage();
+    }
+    
+    console.log(`[XPath Extractor] Applied pattern: ${detectedPattern.xpath} (${matchedElements.length} matches)`);
+    return { success: true, count: matchedElements.length };
+}
+
+/**
+ * 現在の抽出結果の行数をツールバーのバッジに表示する
+ * 2次元パターンの場合は行数、それ以外は要素数を表示する
+ */
+function reportMatchCount() {
+    const patternInfo = extractData().patternInfo;
+    const count = patternInfo.rows !== undefined ? patternInfo.rows : patternInfo.count;
+    
+    chrome.runtime.sendMessage({
+        action: "updateMatchBadge",
+        count: count || 0
+    }).catch(() => {
+        // バックグラウンドスクリプトが応答しない場合は無視
+    });
+}
+
+/**
+ * 現在のURLに一致する自動適用レシピがあれば適用する
+ * URLはタブ（トップフレーム）のURLで判定し、レシピのパターンを持つフレームでのみ適用する
+ * 
+ * 一致要素が見つからない場合は描画待ちとして一定間隔で再試行し、
+ * 最終的な一致件数をバッジに表示する
+ */
+function autoApplyRecipe() {
+    chrome.runtime.sendMessage({ action: "getAutoApplyRecipe", url: location.href })
+        .then((response) => {
+            if (!response || !response.recipe) {
+                return;
+            }
+            
+            const recipe = response.recipe;
+            if (!isCurrentFramePath(recipe.pattern.framePath)) {
+                return;
+            }
+            let attempts = 0;
+            
+            const tryApply = () => {
+                attempts++;
+                const found = findPatternElements(recipe.pattern).length > 0;
+                if (!found && attempts < AUTO_APPLY_MAX_ATTEMPTS) {
+                    setTimeout(tryApply, AUTO_APPLY_RETRY_INTERVAL_MS);
+                    return;
+                }
+                // 手動で選択を始めている場合は上書きしない
+                if (selectedElements.length > 0) {
+                    return;
+                }
+                applyPatternSnapshot(recipe.pattern);
+                reportMatchCount();
+                console.log(`[XPath Extractor] Auto-applied recipe: ${recipe.name}`);
+            };
+            tryApply();
+        })
+        .catch(() => {
+            // バックグラウンドスクリプトが応答しない場合は無視
+        });
+}
+
+// ========================================
+// レコード抽出関数
+// ========================================
+
+/**
+ * コンテナから要素までの1ステップ分の相対XPathを生成する
+ * 
+ * 同じタグの兄弟要素と区別できるクラスがあればクラスで指定し、
+ * なければ同じタグの兄弟要素の中での位置で指定する
+ * コンテナによって一部の要素が欠けていても同じ要素を指すように、位置よりクラスを優先する
+ * 
+ * @param {Element} element - 対象の要素
+ * @returns {string} 相対XPathの1ステップ（例: "span[contains(concat(' ', normalize-space(@class), ' '), ' price ')]"）
+ */
+function buildRelativeStep(element) {
+    const tagName = element.tagName.toLowerCase();
+    const parent = element.parentElement || getParentShadowRoot(element);
+    const sameTagSiblings = parent
+        ? Array.from(parent.children).filter((child) => child.tagName === element.tagName)
+        : [element];
+    
+    // 兄弟要素と区別できるクラスを探す（拡張機能自身のクラスは除く）
+    const uniqueClass = Array.from(element.classList).find((className) => {
+        if (className.startsWith("xpath-extractor-") || className.includes("'")) {
+            return false;
+        }
+        return sameTagSiblings.every((sibling) => sibling === element || !sibling.classList.contains(className));
+    });
+    if (uniqueClass) {
+        return `${tagName}[${buildClassPredicate(uniqueClass)}]`;
+    }
+    
+    if (sameTagSiblings.length === 1) {
+        return tagName;
+    }
+    return `${tagName}[${sameTagSiblings.indexOf(element) + 1}]`;
+}
+
+/**
+ * コンテナから要素までの相対XPathを生成する
+ * コンテナ内のShadow DOMの中の要素は、シャドウルートの境界（SHADOW_ROOT_SEGMENT）を含むパスになる
+ * 
+ * @param {Element} container - 基準となるコンテナ要素
+ * @param {Element} element - コンテナ内の要素
+ * @returns {string|null} 相対XPath（要素がコンテナ自身の場合は "."、コンテナ外の場合はnull）
+ */
+function buildRelativePath(container, element) {
+    const steps = [];
+    let current = element;
+    while (current && current !== container) {
+        steps.unshift(buildRelativeStep(current));
+        if (getParentShadowRoot(current)) {
+            steps.unshift(SHADOW_ROOT_SEGMENT);
+        }
+        current = getComposedParent(current);
+    }
+    if (current !== container) {
+        return null;
+    }
+    return steps.length > 0 ? steps.join("/") : ".";
+}
+
+/**
+ * コンテナからの相対XPathで要素を取得する
+ * 
+ * @param {Element} container - 基準となるコンテナ要素
+ * @param {string} path - buildRelativePath() で生成した相対XPath
+ * @returns {Element|null} 見つかった要素（見つからない場合はnull）
+ */
+function findRelativeElement(container, path) {
+    if (path === ".") {
+        return container;
+    }
+    // シャドウルートの境界を含むパスは階層ごとに評価する
+    if (path.includes(SHADOW_ROOT_SEGMENT)) {
+        return evaluateXPath(`./${path}`, container)[0] || null;
+    }
+    try {
+        const result = document.evaluate(`./${path}`, container, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+        return result.singleNodeValue;
+    } catch (error) {
+        console.error("[XPath Extractor] Invalid relative path:", path, error);
+        return null;
+    }
+}
+
+/**
+ * レコードのフィールド指定モードを開始する
+ * 次にクリックされたコンテナ内の要素を、指定した名前のフィールドとして追加する
+ * 
+ * @param {string} name - フィールド名
+ * @returns {{ success: boolean }} 繰り返し要素のパターンがない場合はfalse
+ */
+function startFieldPicking(name) {
+    if (!detectedPattern || !detectedPattern.xpath || detectedPattern.type === "2d" || detectedPattern.type === "nd") {
+        return { success: false };
+    }
+    
+    const fieldCount = detectedPattern.fields ? detectedPattern.fields.length : 0;
+    pendingFieldName = (name || "").trim() || `field${fieldCount + 1}`;
+    // 選択モードのハンドラ（documentに登録）より先に受け取るためwindowに登録する
+    window.addEventListener("click", handleFieldPickClick, true);
+    document.body.classList.add("xpath-extractor-active");
+    return { success: true };
+}
+
+/**
+ * レコードのフィールド指定モードを終了する
+ */
+function stopFieldPicking() {
+    pendingFieldName = null;
+    window.removeEventListener("click", handleFieldPickClick, true);
+    if (!isSelectionModeActive) {
+        document.body.classList.remove("xpath-extractor-active");
+    }
+}
+
+/**
+ * レコードのフィールド指定クリックのハンドラ
+ * クリックされた要素を含むコンテナを基準に相対XPathを生成してフィールドに追加する
+ * 
+ * @param {MouseEvent} event - クリックイベント
+ */
+function handleFieldPickClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const name = pendingFieldName;
+    stopFieldPicking();
+    
+    const element = getEventTarget(event);
+    if (!(element instanceof Element)) {
+        return;
+    }
+    
+    const container = matchedElements.find((candidate) => containsComposed(candidate, element));
+    if (!container) {
+        console.warn("[XPath Extractor] Clicked element is outside of the repeating containers");
+        return;
+    }
+    
+    addRecordField(name, buildRelativePath(container, element));
+}
+
+/**
+ * レコードにフィールドを追加する
+ * 最初のフィールドを追加した時点でパターンをレコード形式に切り替える
+ * 
+ * @param {string} name - フィールド名
+ * @param {string} path - コンテナからの相対XPath
+ */
+function addRecordField(name, path) {
+    if (detectedPattern.type !== "record") {
+        // 1次元パターンの列設定・列の並び順はレコードのフィールドに引き継がない
+        const { columnOrder, ...containerPattern } = detectedPattern;
+        detectedPattern = { ...containerPattern, type: "record", fields: [] };
+        columnSettings = [];
+    }
+    detectedPattern.fields = [...detectedPattern.fields, { name: name, path: path }];
+    
+    refreshHighlights();
     saveDataToStorage();
+    console.log(`[XPath Extractor] Record field "${name}": ${path}`);
 }
 
 /**
- * 現在の状態に基づいて全てのハイライトを再描画する
+ * レコードのフィールドを削除する
+ * フィールドがなくなった場合は元の繰り返し要素のパターンに戻す
+ * 
+ * @param {number} index - 削除するフィールドの番号（0始まり）
+ * @returns {{ success: boolean }} 削除結果
  */
-function refreshHighlights() {
-    clearAllHighlights();
+function removeRecordField(index) {
+    if (!detectedPattern || detectedPattern.type !== "record" || !detectedPattern.fields[index]) {
+        return { success: false };
+    }
     
-    // 選択された要素を黄色でハイライト
-    selectedElements.forEach((sel) => {
-        addHighlight(sel.element, "selected");
+    detectedPattern.fields = detectedPattern.fields.filter((field, i) => i !== index);
+    columnSettings = columnSettings.filter((column, i) => i !== index);
+    if (Array.isArray(detectedPattern.columnOrder)) {
+        detectedPattern.columnOrder = detectedPattern.columnOrder
+            .filter((column) => column !== index)
+            .map((column) => (column > index ? column - 1 : column));
+    }
+    if (detectedPattern.fields.length === 0) {
+        const { fields, columnOrder, ...containerPattern } = detectedPattern;
+        detectedPattern = { ...containerPattern, type: containerPattern.variableIndices.length > 0 ? "1d" : "single" };
+    }
+    
+    refreshHighlights();
+    saveDataToStorage();
+    return { success: true };
+}
+
+// ========================================
+// ページ巡回（ページネーション）関数
+// ========================================
+
+/**
+ * 「次へ」要素の指定モードを開始する
+ * 次のクリックはページ本来の動作や要素選択には使われず、「次へ」要素として記録される
+ */
+function startNextPagePicking() {
+    if (isNextPagePickingActive) {
+        return;
+    }
+    isNextPagePickingActive = true;
+    // 選択モードのハンドラ（documentに登録）より先に受け取るためwindowに登録する
+    window.addEventListener("click", handleNextPagePickClick, true);
+    document.body.classList.add("xpath-extractor-active");
+}
+
+/**
+ * 「次へ」要素の指定モードを終了する
+ */
+function stopNextPagePicking() {
+    isNextPagePickingActive = false;
+    window.removeEventListener("click", handleNextPagePickClick, true);
+    if (!isSelectionModeActive) {
+        document.body.classList.remove("xpath-extractor-active");
+    }
+}
+
+/**
+ * 「次へ」要素の指定クリックのハンドラ
+ * 
+ * クリックされた要素がリンクやボタンの内側の場合はリンク・ボタン自体を対象にする
+ * ページをまたいでも同じ要素を特定できるよう、IDがあればID形式のXPathを使用する
+ * 
+ * @param {MouseEvent} event - クリックイベント
+ */
+function handleNextPagePickClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const target = getEventTarget(event);
+    if (!(target instanceof Element)) {
+        return;
+    }
+    
+    const element = target.closest("a, button, [role='button'], input[type='button'], input[type='submit']") || target;
+    const xpath = generateXPath(element);
+    stopNextPagePicking();
+    
+    // 指定した要素を一瞬ハイライトして確認できるようにする
+    addHighlight(element, "selected");
+    setTimeout(() => {
+        if (!selectedElements.some((sel) => sel.element === element)) {
+            removeHighlight(element);
+        }
+    }, 800);
+    
+    chrome.runtime.sendMessage({ action: "setNextPageXPath", xpath: xpath, framePath: FRAME_PATH }).catch(() => {
+        // バックグラウンドスクリプトが応答しない場合は無視
+    });
+    console.log(`[XPath Extractor] Next page element: ${xpath}`);
+}
+
+/**
+ * 「次へ」要素が無効化されているかを判定する
+ * 最終ページでボタンが残ったまま無効化されるサイトに対応する
+ * 
+ * @param {Element} element - 判定する要素
+ * @returns {boolean} 無効化されている場合はtrue
+ */
+function isDisabledElement(element) {
+    return element.hasAttribute("disabled") ||
+        element.getAttribute("aria-disabled") === "true" ||
+        element.classList.contains("disabled");
+}
+
+/**
+ * 「次へ」要素をクリックする
+ * 
+ * @param {string} xpath - 「次へ」要素のXPath
+ * @returns {{ found: boolean }} 要素が見つかりクリックした場合はtrue
+ */
+function clickNextPage(xpath) {
+    const element = findMatchingElements(xpath)[0];
+    if (!element || isDisabledElement(element)) {
+        return { found: false };
+    }
+    
+    // 選択モード中はクリックがブロックされるため解除してからクリックする
+    deactivateSelectionMode();
+    // 応答を返してから遷移させるため、クリックは非同期で行う
+    setTimeout(() => {
+        element.click();
+    }, 50);
+    return { found: true };
+}
+
+/**
+ * DOMの変化が落ち着くまで待機する
+ * 一定時間変更がない、または上限時間に達した時点で完了とする
+ * 
+ * @returns {Promise<void>} 待機完了で解決するPromise
+ */
+function waitForDomSettle() {
+    return new Promise((resolve) => {
+        let quietTimer = null;
+        let timeoutTimer = null;
+        
+        const finish = () => {
+            observer.disconnect();
+            clearTimeout(quietTimer);
+            clearTimeout(timeoutTimer);
+            resolve();
+        };
+        
+        const observer = new MutationObserver(() => {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(finish, DOM_SETTLE_QUIET_MS);
+        });
+        observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+        
+        quietTimer = setTimeout(finish, DOM_SETTLE_QUIET_MS);
+        timeoutTimer = setTimeout(finish, DOM_SETTLE_TIMEOUT_MS);
+    });
+}
+
+// ========================================
+// スクロール収集関数
+// ========================================
+
+/**
+ * 要素を含む最も近いスクロール可能な祖先要素を探す
+ * 
+ * @param {Element|null} element - 起点の要素
+ * @returns {Element|null} スクロール領域（見つからない場合はnull = ページ全体）
+ */
+function findScrollContainer(element) {
+    let current = element ? getComposedParent(element) : null;
+    while (current && current !== document.body && current !== document.documentElement) {
+        const overflowY = getComputedStyle(current).overflowY;
+        if ((overflowY === "auto" || overflowY === "scroll") && current.scrollHeight > current.clientHeight) {
+            return current;
+        }
+        current = getComposedParent(current);
+    }
+    return null;
+}
+
+/**
+ * 行の重複判定に使用するキーを生成する
+ * 
+ * @param {string|string[]} row - 抽出データの1行
+ * @param {number} keyColumn - キー列（1始まり、0の場合は行全体）
+ * @returns {string} 重複判定キー
+ */
+function buildRowKey(row, keyColumn) {
+    if (!Array.isArray(row)) {
+        return String(row);
+    }
+    if (keyColumn > 0 && keyColumn <= row.length) {
+        return String(row[keyColumn - 1]);
+    }
+    return JSON.stringify(row);
+}
+
+/**
+ * スクロール収集・監視モードの進捗をバックグラウンドに通知する
+ * 
+ * @param {object} status - { kind: "scroll"|"watch", running, step, rowCount, message }
+ */
+function reportJobStatus(status) {
+    chrome.runtime.sendMessage({ action: "setJobStatus", status: status }).catch(() => {
+        // バックグラウンドスクリプトが応答しない場合は無視
     });
+}
+
+/**
+ * ページまたはスクロール領域を少しずつスクロールしながらパターンを再評価し、行を収集する
+ * 
+ * 仮想リストでは表示範囲外のDOMが再利用されるため、
+ * 各ステップで抽出した行をキー列で重複排除しながら蓄積する
+ * 新しい行が idleSteps 回連続で見つからなかった時点で終了する
+ * 
+ * @param {{ target: "page"|"container", keyColumn: number, idleSteps: number }} options - 収集設定
+ */
+async function runScrollCollection(options) {
+    const container = options.target === "container" ? findScrollContainer(matchedElements[0]) : null;
+    const idleLimit = Math.max(1, options.idleSteps || 3);
+    const seenKeys = new Set();
+    const rows = [];
+    let patternInfo = null;
+    let idleCount = 0;
+    let step = 0;
+    let message = "新しい行が見つからなくなったため終了しました";
+    
+    for (; step < SCROLL_COLLECT_MAX_STEPS; step++) {
+        matchedElements = findPatternElements(detectedPattern);
+        refreshHighlights();
+        
+        const extracted = extractData();
+        patternInfo = extracted.patternInfo;
+        let addedCount = 0;
+        extracted.data.forEach((row) => {
+            const key = buildRowKey(row, options.keyColumn);
+            if (!seenKeys.has(key)) {
+                seenKeys.add(key);
+                rows.push(row);
+                addedCount++;
+            }
+        });
+        idleCount = addedCount > 0 ? 0 : idleCount + 1;
+        
+        reportJobStatus({ kind: "scroll", running: true, step: step + 1, rowCount: rows.length });
+        
+        if (scrollCollection.stopRequested) {
+            message = "停止しました";
+            break;
+        }
+        if (idleCount >= idleLimit) {
+            break;
+        }
+        
+        // 次のステップへスクロールして描画を待つ
+        if (container) {
+            container.scrollBy(0, container.clientHeight * SCROLL_STEP_RATIO);
+        } else {
+            window.scrollBy(0, window.innerHeight * SCROLL_STEP_RATIO);
+        }
+        await waitForDomSettle();
+    }
     
-    // パターンに一致した要素（選択されていないもの）を緑でハイライト
-    matchedElements.forEach((element) => {
-        const isSelected = selectedElements.some((sel) => sel.element === element);
-        if (!isSelected) {
-            addHighlight(element, "matched");
+    // 収集した行を1つのデータセットとして保存する
+    const isMatrix = rows.some((row) => Array.isArray(row));
+    chrome.runtime.sendMessage({
+        action: "saveExtractedData",
+        data: rows,
+        patternInfo: {
+            ...patternInfo,
+            count: rows.length,
+            rows: isMatrix ? rows.length : undefined,
+            cols: isMatrix ? Math.max(...rows.map((row) => (Array.isArray(row) ? row.length : 1))) : undefined,
+            // 入れ子のデータ・列構成の異なる行は最後のステップの分しかないため保存しない
+            nestedData: undefined,
+            irregularRows: undefined,
+            url: location.href,
+            title: document.title,
+            framePath: FRAME_PATH
         }
+    }).catch(() => {
+        // バックグラウンドスクリプトが応答しない場合は無視
     });
+    
+    reportJobStatus({ kind: "scroll", running: false, step: step + 1, rowCount: rows.length, message: message });
 }
 
 /**
- * ウィンドウのリサイズやスクロール時にハイライト位置を更新する
+ * スクロール収集を開始する
+ * 
+ * @param {object} options - runScrollCollection() の設定
+ * @returns {{ success: boolean }} 開始できた場合はtrue
  */
-function updateHighlightPositions() {
-    highlightOverlays.forEach((overlay, element) => {
-        const rect = element.getBoundingClientRect();
-        const scrollX = window.scrollX || window.pageXOffset;
-        const scrollY = window.scrollY || window.pageYOffset;
-        
-        overlay.style.top = `${rect.top + scrollY}px`;
-        overlay.style.left = `${rect.left + scrollX}px`;
-        overlay.style.width = `${rect.width}px`;
-        overlay.style.height = `${rect.height}px`;
-    });
+function startScrollCollection(options) {
+    if (scrollCollection || watchSession || !detectedPattern || !detectedPattern.xpath) {
+        return { success: false };
+    }
+    
+    scrollCollection = { stopRequested: false };
+    runScrollCollection(options || {})
+        .catch((error) => {
+            reportJobStatus({ kind: "scroll", running: false, message: `エラー: ${error.message}` });
+        })
+        .finally(() => {
+            scrollCollection = null;
+        });
+    return { success: true };
 }
 
 // ========================================
-// データ抽出関数
+// 監視モード関数
 // ========================================
 
 /**
- * パターンに一致する全要素からテキストデータを抽出する
+ * 日時を "YYYY-MM-DD HH:mm:ss" 形式の文字列に変換する
  * 
- * 抽出形式:
- * - 単一/複数選択: 1次元配列 ["text1", "text2", ...]
- * - 1次元パターン: 1次元配列 ["text1", "text2", ...]
- * - 2次元パターン: 2次元配列 [["r1c1", "r1c2"], ["r2c1", "r2c2"], ...]
+ * @param {Date} date - 日時
+ * @returns {string} 整形した日時
+ */
+function formatWatchTime(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * MutationRecordが拡張機能自身のハイライト操作によるものかどうかを判定する
  * 
- * @returns {{ data: string[] | string[][], patternInfo: object }}
+ * @param {MutationRecord} mutation - 判定するMutationRecord
+ * @returns {boolean} ハイライトのオーバーレイに関する変更の場合はtrue
  */
-function extractData() {
-    if (!detectedPattern || matchedElements.length === 0) {
-        // 選択要素のテキストのみを返す
-        const texts = selectedElements.map((sel) => {
-            return normalizeText(sel.element.textContent);
-        });
-        return {
-            data: texts,
-            patternInfo: {
-                type: "multiple",
-                count: texts.length,
-                xpath: null
-            }
-        };
+function isHighlightMutation(mutation) {
+    const isOverlay = (node) => node.nodeType === Node.ELEMENT_NODE && node.classList.contains("xpath-extractor-highlight");
+    if (isOverlay(mutation.target)) {
+        return true;
+    }
+    const changedNodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return changedNodes.length > 0 && changedNodes.every(isOverlay);
+}
+
+/**
+ * 一致要素の現在の値を読み取り、前回から変化していれば時刻付きの行として記録する
+ * 
+ * 再描画で要素が置き換わる場合に備えて、毎回パターンから一致要素を取得し直す
+ */
+function recordWatchValues() {
+    if (!watchSession) {
+        return;
+    }
+    // 選択のクリアなどでパターンがなくなった場合は監視を終了する
+    if (!detectedPattern || !detectedPattern.xpath) {
+        stopWatch();
+        return;
     }
     
-    if (detectedPattern.type === "2d") {
-        // 2次元データの抽出
-        return extract2DData();
+    const elements = findPatternElements(detectedPattern);
+    if (elements.length !== matchedElements.length || elements.some((element, index) => element !== matchedElements[index])) {
+        matchedElements = elements;
+        refreshHighlights();
     }
     
-    // 1次元データの抽出
-    const texts = matchedElements.map((element) => {
-        return normalizeText(element.textContent);
-    });
+    const values = matchedElements.map((element) => extractElementValue(element, getColumnSetting(0)));
+    const valuesKey = JSON.stringify(values);
+    if (valuesKey === watchSession.lastValues) {
+        return;
+    }
+    watchSession.lastValues = valuesKey;
     
-    return {
-        data: texts,
-        patternInfo: {
-            type: detectedPattern.type,
-            count: texts.length,
-            xpath: detectedPattern.xpath
-        }
-    };
+    watchSession.rows.push([formatWatchTime(new Date()), ...values]);
+    if (watchSession.rows.length > WATCH_MAX_ROWS) {
+        watchSession.rows.shift();
+    }
+    scheduleWatchSave();
 }
 
 /**
- * 2次元パターンからマトリックス形式でデータを抽出する
+ * 監視ログの保存を予約する
  * 
- * @returns {{ data: string[][], patternInfo: object }}
+ * 保存のたびにログ全体を送るため、値が頻繁に変わる場合も保存は WATCH_SAVE_INTERVAL_MS に1回までにまとめる
  */
-function extract2DData() {
-    if (!detectedPattern || detectedPattern.variableIndices.length < 2) {
-        return extractData(); // 1次元として処理
+function scheduleWatchSave() {
+    if (watchSession.saveTimer) {
+        return;
     }
-    
-    const segments = parseXPathToSegments(detectedPattern.xpath);
-    const varIndices = detectedPattern.variableIndices;
-    
-    // 最初の可変インデックスを行、2番目を列として扱う
-    const rowVarIndex = varIndices[0];
-    const colVarIndex = varIndices[1];
-    
-    // 行ごとにデータを収集
-    const rowElements = new Map();
-    
-    matchedElements.forEach((element) => {
-        const elementXPath = generateAbsoluteXPath(element);
-        const elementSegments = parseXPathToSegments(elementXPath);
-        
-        if (elementSegments.length !== segments.length) {
-            return;
-        }
-        
-        // 行のインデックスを取得
-        const rowParsed = parseSegment(elementSegments[rowVarIndex]);
-        const rowKey = rowParsed.index || 0;
-        
-        if (!rowElements.has(rowKey)) {
-            rowElements.set(rowKey, []);
+    watchSession.saveTimer = setTimeout(() => {
+        if (watchSession) {
+            watchSession.saveTimer = null;
+            saveWatchLog();
+            reportJobStatus({ kind: "watch", running: true, rowCount: watchSession.rows.length });
         }
-        
-        // 列のインデックスを取得
-        const colParsed = parseSegment(elementSegments[colVarIndex]);
-        const colKey = colParsed.index || 0;
-        
-        rowElements.get(rowKey).push({
-            colIndex: colKey,
-            text: normalizeText(element.textContent)
-        });
-    });
-    
-    // 行をソートして2次元配列を構築
-    const sortedRowKeys = Array.from(rowElements.keys()).sort((a, b) => a - b);
-    const matrix = sortedRowKeys.map((rowKey) => {
-        const cols = rowElements.get(rowKey);
-        cols.sort((a, b) => a.colIndex - b.colIndex);
-        return cols.map((col) => col.text);
-    });
+    }, WATCH_SAVE_INTERVAL_MS);
+}
+
+/**
+ * 監視ログを抽出データとして保存する
+ * 列数は記録中に一致要素数が変わった場合も最大の列数に合わせる
+ */
+function saveWatchLog() {
+    const rows = watchSession.rows;
+    const cols = Math.max(...rows.map((row) => row.length));
+    const columnNames = ["時刻"];
+    for (let i = 1; i < cols; i++) {
+        columnNames.push(`値${i}`);
+    }
     
-    return {
-        data: matrix,
+    chrome.runtime.sendMessage({
+        action: "saveExtractedData",
+        data: rows,
         patternInfo: {
             type: "2d",
-            rows: matrix.length,
-            cols: matrix.length > 0 ? Math.max(...matrix.map((row) => row.length)) : 0,
-            xpath: detectedPattern.xpath
+            count: rows.length,
+            rows: rows.length,
+            cols: cols,
+            columnNames: columnNames,
+            xpath: watchSession.xpath,
+            watch: true,
+            url: location.href,
+            title: document.title,
+            framePath: FRAME_PATH
         }
-    };
+    }).catch(() => {
+        // バックグラウンドスクリプトが応答しない場合は無視
+    });
 }
 
 /**
- * テキストを正規化する（改行・タブ・連続空白を整理）
+ * 監視モードを開始する
  * 
- * @param {string} text - 正規化するテキスト
- * @returns {string} 正規化されたテキスト
+ * - "observe": MutationObserver でページの変更を検出した時に値を確認
+ * - "poll": 指定間隔ごとに値を確認（Canvas描画やiframe外の更新など、DOM変更が起きにくいページ向け）
+ * 
+ * @param {{ mode: "observe"|"poll", intervalMs: number }} options - 監視設定
+ * @returns {{ success: boolean }} 開始できた場合はtrue
  */
-function normalizeText(text) {
-    if (!text) {
-        return "";
+function startWatch(options) {
+    if (watchSession || scrollCollection || !detectedPattern || !detectedPattern.xpath) {
+        return { success: false };
     }
-    return text
-        .replace(/[\r\n\t]+/g, " ") // 改行・タブを空白に
-        .replace(/\s+/g, " ") // 連続空白を単一空白に
-        .trim(); // 前後の空白を削除
+    
+    watchSession = {
+        observer: null,
+        timerId: null,
+        throttleTimer: null,
+        saveTimer: null,
+        // 停止時の保存はパターンがクリアされた後にも行うため、監視対象のXPathを保持しておく
+        xpath: detectedPattern.xpath,
+        rows: [],
+        lastValues: null
+    };
+    
+    if (options && options.mode === "poll") {
+        const intervalMs = Math.max(WATCH_MIN_INTERVAL_MS, options.intervalMs || WATCH_DEFAULT_INTERVAL_MS);
+        watchSession.timerId = setInterval(recordWatchValues, intervalMs);
+    } else {
+        // 連続した変更は1回の確認にまとめる
+        watchSession.observer = new MutationObserver((mutations) => {
+            if (mutations.every(isHighlightMutation) || watchSession.throttleTimer) {
+                return;
+            }
+            watchSession.throttleTimer = setTimeout(() => {
+                if (watchSession) {
+                    watchSession.throttleTimer = null;
+                    recordWatchValues();
+                }
+            }, WATCH_OBSERVE_THROTTLE_MS);
+        });
+        watchSession.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        // Shadow DOM内の変更はドキュメントの監視では通知されないため、一致要素を含むシャドウルートも監視する
+        new Set(matchedElements.map((element) => element.getRootNode())).forEach((root) => {
+            if (root instanceof ShadowRoot) {
+                watchSession.observer.observe(root, { childList: true, subtree: true, characterData: true });
+            }
+        });
+    }
+    
+    // 開始時点の値を最初の行として記録
+    recordWatchValues();
+    return { success: true };
+}
+
+/**
+ * 監視モードを停止する
+ */
+function stopWatch() {
+    if (!watchSession) {
+        return;
+    }
+    
+    if (watchSession.observer) {
+        watchSession.observer.disconnect();
+    }
+    clearInterval(watchSession.timerId);
+    clearTimeout(watchSession.throttleTimer);
+    // 保存待ちの行があれば停止前に保存する
+    if (watchSession.saveTimer) {
+        clearTimeout(watchSession.saveTimer);
+        saveWatchLog();
+    }
+    
+    reportJobStatus({ kind: "watch", running: false, rowCount: watchSession.rows.length, message: "監視を停止しました" });
+    watchSession = null;
 }
 
 // ========================================
@@ -771,6 +3889,12 @@ function saveDataToStorage() {
     const data = extracted.data;
     const patternInfo = extracted.patternInfo;
     
+    // エクスポート時のファイル名やメタ情報に使用するページ情報
+    // 複数のフレームの抽出データはバックグラウンドでフレームのパスごとに結合する
+    patternInfo.url = location.href;
+    patternInfo.title = document.title;
+    patternInfo.framePath = FRAME_PATH;
+    
     chrome.runtime.sendMessage({
         action: "saveExtractedData",
         data: data,
@@ -798,7 +3922,7 @@ function handleElementClick(event) {
     event.preventDefault();
     event.stopPropagation();
     
-    const element = event.target;
+    const element = getEventTarget(event);
     if (!(element instanceof Element)) {
         return;
     }
@@ -808,6 +3932,12 @@ function handleElementClick(event) {
         return;
     }
     
+    // Alt+クリックは一致要素（緑）の除外
+    if (event.altKey) {
+        excludeMatchedElement(element);
+        return;
+    }
+    
     // 既に選択されているかチェック
     const existingIndex = selectedElements.findIndex((sel) => sel.element === element);
     
@@ -848,7 +3978,7 @@ function handleElementDoubleClick(event) {
     event.preventDefault();
     event.stopPropagation();
     
-    const element = event.target;
+    const element = getEventTarget(event);
     if (!(element instanceof Element)) {
         return;
     }
@@ -877,9 +4007,20 @@ function handleElementDoubleClick(event) {
  * @param {KeyboardEvent} event - キーボードイベント
  */
 function handleKeyDown(event) {
-    // Escキーで選択モード終了
+    // Escキーで選択モード終了（他のフレームの選択モードもバックグラウンド経由で終了する）
     if (event.key === "Escape" && isSelectionModeActive) {
         deactivateSelectionMode();
+        chrome.runtime.sendMessage({ action: "setSelectionModeInTab", isActive: false }).catch(() => {
+            // バックグラウンドスクリプトが応答しない場合は無視
+        });
+        return;
+    }
+    
+    // Enterキーで提案中のリストを確定（2要素目のクリックの代わり）
+    if (event.key === "Enter" && isSelectionModeActive && listSuggestion && !event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+        event.preventDefault();
+        event.stopPropagation();
+        acceptListSuggestion();
     }
 }
 
@@ -893,7 +4034,7 @@ function handleMouseOver(event) {
         return;
     }
     
-    const element = event.target;
+    const element = getEventTarget(event);
     if (!(element instanceof Element)) {
         return;
     }
@@ -911,7 +4052,7 @@ function handleMouseOver(event) {
  * @param {MouseEvent} event - マウスアウトイベント
  */
 function handleMouseOut(event) {
-    const element = event.target;
+    const element = getEventTarget(event);
     if (!(element instanceof Element)) {
         return;
     }
@@ -993,8 +4134,15 @@ function toggleSelectionMode() {
 
 /**
  * バックグラウンドスクリプトからのメッセージを処理する
+ * 
+ * メッセージはタブ内の全フレームに届くため、framePath を指定したメッセージは
+ * 該当するフレームだけが処理して応答する（他のフレームは応答しない）
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.framePath !== undefined && !isCurrentFramePath(request.framePath)) {
+        return false;
+    }
+    
     // 選択モードのトグル
     if (request.action === "toggleSelectionMode") {
         const result = toggleSelectionMode();
@@ -1002,6 +4150,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
     
+    // 選択モードの設定（トップフレームでのトグル結果を全フレームに反映する）
+    if (request.action === "setSelectionMode") {
+        if (request.isActive) {
+            activateSelectionMode();
+        } else {
+            deactivateSelectionMode();
+        }
+        sendResponse({ isActive: isSelectionModeActive });
+        return true;
+    }
+    
     // 選択モードの状態取得
     if (request.action === "getSelectionMode") {
         sendResponse({ isActive: isSelectionModeActive });
@@ -1015,6 +4174,172 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
     
+    // レシピ保存用に現在のパターンを取得
+    if (request.action === "getPatternSnapshot") {
+        sendResponse({ pattern: buildPatternSnapshot() });
+        return true;
+    }
+    
+    // 保存済みパターン（レシピ）の適用
+    if (request.action === "applyPattern") {
+        sendResponse(applyPatternSnapshot(request.pattern));
+        return true;
+    }
+    
+    // 「次へ」要素の指定モードを開始
+    if (request.action === "startNextPagePicking") {
+        startNextPagePicking();
+        sendResponse({ success: true });
+        return true;
+    }
+    
+    // ページ巡回: パターンを適用して現在のページのデータを抽出（保存はバックグラウンドで行う）
+    if (request.action === "extractWithPattern") {
+        const result = applyPatternSnapshot(request.pattern, { save: false });
+        const extracted = extractData();
+        extracted.patternInfo.url = location.href;
+        extracted.patternInfo.title = document.title;
+        extracted.patternInfo.framePath = FRAME_PATH;
+        sendResponse({ success: result.success, data: extracted.data, patternInfo: extracted.patternInfo });
+        return true;
+    }
+    
+    // ページ巡回: 「次へ」要素をクリック
+    if (request.action === "clickNextPage") {
+        sendResponse(clickNextPage(request.xpath));
+        return true;
+    }
+    
+    // ページ巡回: DOMの変化が落ち着くまで待機
+    if (request.action === "waitForDomSettle") {
+        waitForDomSettle().then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+    
+    // スクロール収集の開始
+    if (request.action === "startScrollCollection") {
+        sendResponse(startScrollCollection(request.options));
+        return true;
+    }
+    
+    // 入力中のパターンXPathのプレビュー
+    if (request.action === "previewPatternXPath") {
+        sendResponse(previewPatternXPath(request.xpath));
+        return true;
+    }
+    
+    // パターンXPathのプレビューの終了
+    if (request.action === "cancelPatternXPathPreview") {
+        cancelPatternXPathPreview();
+        sendResponse({ success: true });
+        return true;
+    }
+    
+    // 入力したパターンXPathでパターンを置き換え
+    if (request.action === "setPatternXPath") {
+        sendResponse(setPatternXPath(request.xpath));
+        return true;
+    }
+    
+    // パターンのセグメントの固定の位置とワイルドカードの切り替え
+    if (request.action === "togglePatternSegment") {
+        sendResponse(togglePatternSegment(request.index));
+        return true;
+    }
+    
+    // パターンの除外の設定の削除
+    if (request.action === "removeExclusion") {
+        sendResponse(removeExclusion(request.index));
+        return true;
+    }
+    
+    // 2次元パターンの行と列の役割の入れ替え
+    if (request.action === "setAxesSwapped") {
+        sendResponse(setAxesSwapped(request.swapAxes));
+        return true;
+    }
+    
+    // テーブルの tfoot の行を含めるかどうかの設定
+    if (request.action === "setTableFooterIncluded") {
+        sendResponse(setTableFooterIncluded(request.includeFooter));
+        return true;
+    }
+    
+    // N次元パターンのグループの階層の出力方法の設定
+    if (request.action === "setLevelMode") {
+        sendResponse(setLevelMode(request.level, request.mode));
+        return true;
+    }
+    
+    // レコードのフィールド指定モードの開始
+    if (request.action === "startFieldPicking") {
+        sendResponse(startFieldPicking(request.name));
+        return true;
+    }
+    
+    // レコードのフィールドの削除
+    if (request.action === "removeRecordField") {
+        sendResponse(removeRecordField(request.index));
+        return true;
+    }
+    
+    // 列の抽出元の設定
+    if (request.action === "setColumnSetting") {
+        sendResponse(setColumnSetting(request.index, request.column));
+        return true;
+    }
+    
+    // 監視モードの開始
+    if (request.action === "startWatch") {
+        sendResponse(startWatch(request.options));
+        return true;
+    }
+    
+    // 実行中のジョブを停止
+    // 全フレームに送られるため、停止するジョブがあったかどうかを返す（どのフレームにもない場合の終了状態はバックグラウンドで設定する）
+    if (request.action === "stopJob") {
+        const stopped = !!(scrollCollection || watchSession);
+        if (scrollCollection) {
+            scrollCollection.stopRequested = true;
+        } else if (watchSession) {
+            stopWatch();
+        }
+        sendResponse({ success: true, stopped: stopped });
+        return true;
+    }
+    
+    // 列名・列の並び順・非表示の列を設定
+    if (request.action === "updateColumnLayout") {
+        sendResponse(updateColumnLayout(request.update));
+        return true;
+    }
+    
+    // 繰り返し構造の候補の検出
+    if (request.action === "scanCandidates") {
+        sendResponse(scanCandidates());
+        return true;
+    }
+    
+    // 候補のハイライト
+    if (request.action === "highlightCandidate") {
+        sendResponse(highlightCandidate(request.index));
+        return true;
+    }
+    
+    // 候補の適用
+    if (request.action === "applyCandidate") {
+        sendResponse(applyCandidate(request.index));
+        return true;
+    }
+    
+    // 提案中のリストの確定
+    if (request.action === "acceptListSuggestion") {
+        sendResponse(acceptListSuggestion());
+        return true;
+    }
+    
     // 現在のデータを取得
     if (request.action === "getCurrentData") {
         const extracted = extractData();
@@ -1033,4 +4358,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 window.addEventListener("scroll", updateHighlightPositions, { passive: true });
 window.addEventListener("resize", updateHighlightPositions, { passive: true });
 
+// 保存済みレシピの自動適用
+autoApplyRecipe();
+
 console.log("[XPath Extractor] Content script loaded");
@@ -0,0 +1,327 @@
+/**
+ * レシピライブラリ画面のロジック
+ * - 全レシピの一覧表示と削除、自動適用の切り替え
+ * - レシピのJSONファイルへのエクスポート（全件・選択分）
+ * - JSONファイルからのインポート（競合時の処理を選択）
+ * - chrome.storage.sync による同期の切り替え
+ */
+
+// ========================================
+// DOM要素の参照
+// ========================================
+
+const syncCheckbox = document.getElementById("syncCheckbox");
+const exportAllBtn = document.getElementById("exportAllBtn");
+const exportSelectedBtn = document.getElementById("exportSelectedBtn");
+const conflictModeSelect = document.getElementById("conflictModeSelect");
+const importBtn = document.getElementById("importBtn");
+const importFileInput = document.getElementById("importFileInput");
+const selectAllCheckbox = document.getElementById("selectAllCheckbox");
+const recipeTableBody = document.getElementById("recipeTableBody");
+const toast = document.getElementById("toast");
+
+// ========================================
+// 状態管理
+// ========================================
+
+// チェックボックスで選択されているレシピのID
+const selectedRecipeIds = new Set();
+
+// ========================================
+// UI更新関数
+// ========================================
+
+/**
+ * トースト通知を表示
+ */
+function showToast(message) {
+    toast.textContent = message;
+    toast.classList.add("show");
+    
+    setTimeout(() => {
+        toast.classList.remove("show");
+    }, 2000);
+}
+
+/**
+ * タイムスタンプを "YYYY-MM-DD HH:mm" 形式で表示する
+ * 
+ * @param {number} timestamp - ミリ秒単位の時刻
+ * @returns {string} フォーマット済みの日時
+ */
+function formatDate(timestamp) {
+    if (!timestamp) {
+        return "";
+    }
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * レシピ一覧のテーブルを描画する
+ * 
+ * @param {object[]} recipes - 表示するレシピ
+ */
+function renderRecipeTable(recipes) {
+    recipeTableBody.textContent = "";
+    
+    // 削除済みのレシピは選択状態からも除外
+    const ids = new Set(recipes.map((recipe) => recipe.id));
+    Array.from(selectedRecipeIds).forEach((id) => {
+        if (!ids.has(id)) {
+            selectedRecipeIds.delete(id);
+        }
+    });
+    selectAllCheckbox.checked = recipes.length > 0 && selectedRecipeIds.size === recipes.length;
+    
+    if (recipes.length === 0) {
+        const row = document.createElement("tr");
+        row.className = "empty-row";
+        const cell = document.createElement("td");
+        cell.colSpan = 8;
+        cell.textContent = "保存されたレシピはありません";
+        row.appendChild(cell);
+        recipeTableBody.appendChild(row);
+        return;
+    }
+    
+    recipes.forEach((recipe) => {
+        const row = document.createElement("tr");
+        
+        const checkboxCell = document.createElement("td");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = selectedRecipeIds.has(recipe.id);
+        checkbox.addEventListener("change", () => {
+            if (checkbox.checked) {
+                selectedRecipeIds.add(recipe.id);
+            } else {
+                selectedRecipeIds.delete(recipe.id);
+            }
+            selectAllCheckbox.checked = selectedRecipeIds.size === recipes.length;
+        });
+        checkboxCell.appendChild(checkbox);
+        
+        const nameCell = document.createElement("td");
+        nameCell.textContent = recipe.name;
+        
+        const urlCell = document.createElement("td");
+        urlCell.className = "cell-xpath";
+        urlCell.textContent = recipe.urlPattern;
+        
+        const typeCell = document.createElement("td");
+        typeCell.textContent = recipe.pattern ? recipe.pattern.type : "";
+        
+        const xpathCell = document.createElement("td");
+        xpathCell.className = "cell-xpath";
+        xpathCell.textContent = recipe.pattern ? recipe.pattern.xpath : "";
+        
+        const autoApplyCell = document.createElement("td");
+        const autoApplyCheckbox = document.createElement("input");
+        autoApplyCheckbox.type = "checkbox";
+        autoApplyCheckbox.checked = recipe.autoApply === true;
+        autoApplyCheckbox.title = "ページを開いたときに自動で適用";
+        autoApplyCheckbox.addEventListener("change", () => {
+            chrome.runtime.sendMessage({
+                action: "setRecipeAutoApply",
+                recipeId: recipe.id,
+                enabled: autoApplyCheckbox.checked
+            }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    autoApplyCheckbox.checked = !autoApplyCheckbox.checked;
+                    showToast("変更に失敗しました");
+                }
+            });
+        });
+        autoApplyCell.appendChild(autoApplyCheckbox);
+        
+        const dateCell = document.createElement("td");
+        dateCell.textContent = formatDate(recipe.updatedAt);
+        
+        const actionCell = document.createElement("td");
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "btn btn-secondary";
+        deleteButton.textContent = "削除";
+        deleteButton.addEventListener("click", () => handleDeleteClick(recipe));
+        actionCell.appendChild(deleteButton);
+        
+        [checkboxCell, nameCell, urlCell, typeCell, xpathCell, autoApplyCell, dateCell, actionCell].forEach((cell) => {
+            row.appendChild(cell);
+        });
+        recipeTableBody.appendChild(row);
+    });
+}
+
+// ========================================
+// データ取得関数
+// ========================================
+
+/**
+ * 全レシピと同期設定を取得して表示する
+ */
+function loadLibrary() {
+    chrome.runtime.sendMessage({ action: "getAllRecipes" }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            return;
+        }
+        syncCheckbox.checked = response.syncEnabled;
+        renderRecipeTable(response.recipes);
+        selectAllCheckbox.onchange = () => {
+            selectedRecipeIds.clear();
+            if (selectAllCheckbox.checked) {
+                response.recipes.forEach((recipe) => selectedRecipeIds.add(recipe.id));
+            }
+            renderRecipeTable(response.recipes);
+        };
+    });
+}
+
+// ========================================
+// エクスポート・インポート
+// ========================================
+
+/**
+ * レシピをバージョン付きJSONファイルとしてダウンロードする
+ * 
+ * @param {string[]|null} recipeIds - エクスポートするレシピのID（nullの場合は全件）
+ */
+function exportRecipes(recipeIds) {
+    chrome.runtime.sendMessage({ action: "exportRecipes", recipeIds: recipeIds }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            showToast("エクスポート失敗");
+            return;
+        }
+        if (response.recipes.length === 0) {
+            showToast("レシピなし");
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(response, null, 2)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const date = new Date();
+        const pad = (value) => String(value).padStart(2, "0");
+        
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `xpath-extractor-recipes_${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 1000);
+        showToast(`${response.recipes.length}件をエクスポート`);
+    });
+}
+
+/**
+ * 選択されたファイルからレシピをインポートする
+ * 
+ * @param {File} file - インポートするJSONファイル
+ */
+function importRecipes(file) {
+    file.text()
+        .then((text) => {
+            const parsed = JSON.parse(text);
+            chrome.runtime.sendMessage({
+                action: "importRecipes",
+                file: parsed,
+                conflictMode: conflictModeSelect.value
+            }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    showToast(`インポート失敗: ${response && response.error ? response.error : "不明なエラー"}`);
+                    return;
+                }
+                const summary = response.summary;
+                showToast(`追加 ${summary.added} / 置換 ${summary.replaced} / 名前変更 ${summary.renamed} / スキップ ${summary.skipped}`);
+                loadLibrary();
+            });
+        })
+        .catch(() => {
+            showToast("JSONの読み込みに失敗しました");
+        });
+}
+
+// ========================================
+// イベントハンドラ
+// ========================================
+
+/**
+ * レシピ削除ボタンのクリックハンドラ
+ * 
+ * @param {object} recipe - 削除するレシピ
+ */
+function handleDeleteClick(recipe) {
+    if (!confirm(`レシピ「${recipe.name}」を削除しますか？`)) {
+        return;
+    }
+    chrome.runtime.sendMessage({ action: "deleteRecipe", recipeId: recipe.id }, () => {
+        if (chrome.runtime.lastError) {
+            return;
+        }
+        loadLibrary();
+    });
+}
+
+/**
+ * 同期チェックボックスの変更ハンドラ
+ */
+function handleSyncChange() {
+    const enabled = syncCheckbox.checked;
+    chrome.runtime.sendMessage({ action: "setRecipeSyncEnabled", enabled: enabled }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            syncCheckbox.checked = !enabled;
+            showToast(`同期の切り替えに失敗: ${response && response.error ? response.error : "不明なエラー"}`);
+            return;
+        }
+        showToast(enabled ? "同期を有効にしました" : "同期を無効にしました");
+        loadLibrary();
+    });
+}
+
+// ========================================
+// ストレージ変更の監視
+// ========================================
+
+// 他の端末からの同期や、ポップアップでの保存を一覧に反映する
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const recipeChanged = Object.keys(changes).some((key) =>
+        key === "recipes" || key === "recipeSyncEnabled" || key.startsWith("recipe:")
+    );
+    if (recipeChanged && (areaName === "local" || areaName === "sync")) {
+        loadLibrary();
+    }
+});
+
+// ========================================
+// 初期化
+// ========================================
+
+/**
+ * ライブラリ画面の初期化
+ */
+function initialize() {
+    exportAllBtn.addEventListener("click", () => exportRecipes(null));
+    exportSelectedBtn.addEventListener("click", () => {
+        if (selectedRecipeIds.size === 0) {
+            showToast("レシピを選択してください");
+            return;
+        }
+        exportRecipes(Array.from(selectedRecipeIds));
+    });
+    importBtn.addEventListener("click", () => importFileInput.click());
+    importFileInput.addEventListener("change", () => {
+        if (importFileInput.files && importFileInput.files[0]) {
+            importRecipes(importFileInput.files[0]);
+        }
+        // 同じファイルを再度選択できるようにリセット
+        importFileInput.value = "";
+    });
+    syncCheckbox.addEventListener("change", handleSyncChange);
+    
+    loadLibrary();
+}
+
+document.addEventListener("DOMContentLoaded", initialize);
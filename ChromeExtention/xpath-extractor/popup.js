@@ -2,7 +2,23 @@
  * ポップアップUIのロジック
  * - ポップアップから選択モードのON/OFFを制御
  * - 抽出データの表示
- * - クリップボードへのコピー
+ * - クリップボードへのコピー（HTMLテーブル＋TSV）
+ * - CSV / JSON / Markdown / XLSX ファイルへのエクスポート
+ * - 抽出レシピの保存・適用
+ * - 「次へ」をたどる複数ページの巡回と進捗表示
+ * - 無限スクロール・仮想リスト向けのスクロール収集
+ * - 値の変化を時系列で記録する監視モード
+ * - 列ごとの抽出元（テキスト・属性・HTML・フォーム値）の設定
+ * - 繰り返し要素ごとの名前付きフィールド（レコード）の指定
+ * - N次元パターンの階層のプレビューと、階層ごとの入れ子・列への展開の切り替え
+ * - HTMLテーブルの tfoot を含めるかどうかの切り替え
+ * - 列名・列の並び順・出力する列の設定
+ * - 2次元パターンの行と列の入れ替え
+ * - Alt+クリックで除外した一致要素の一覧と除外の取り消し
+ * - パターンXPathの編集（入力中の一致件数のプレビューと適用）
+ * - パターンのパンくずリストからのセグメントごとのワイルドカードの切り替え
+ * - ページ内のリスト・テーブルの候補の検出とプレビュー、候補の適用
+ * - 1要素目のクリック後に提案されたリストの確定
  * - データのクリア
  */
 
@@ -12,10 +28,56 @@
 
 const toggleBtn = document.getElementById("toggleBtn");
 const copyBtn = document.getElementById("copyBtn");
+const xlsxBtn = document.getElementById("xlsxBtn");
 const clearBtn = document.getElementById("clearBtn");
 const patternType = document.getElementById("patternType");
 const elementCount = document.getElementById("elementCount");
+const patternBreadcrumb = document.getElementById("patternBreadcrumb");
+const patternXPathInput = document.getElementById("patternXPathInput");
+const patternXPathStatus = document.getElementById("patternXPathStatus");
+const applyXPathBtn = document.getElementById("applyXPathBtn");
+const listSuggestionRow = document.getElementById("listSuggestionRow");
+const listSuggestionText = document.getElementById("listSuggestionText");
+const acceptSuggestionBtn = document.getElementById("acceptSuggestionBtn");
+const irregularRowsWarning = document.getElementById("irregularRowsWarning");
+const tableFooterOption = document.getElementById("tableFooterOption");
+const includeFooterCheckbox = document.getElementById("includeFooterCheckbox");
 const dataTextarea = document.getElementById("dataTextarea");
+const exportCsvBtn = document.getElementById("exportCsvBtn");
+const exportJsonBtn = document.getElementById("exportJsonBtn");
+const exportMarkdownBtn = document.getElementById("exportMarkdownBtn");
+const csvBomCheckbox = document.getElementById("csvBomCheckbox");
+const numericColumnsInput = document.getElementById("numericColumnsInput");
+const recipeNameInput = document.getElementById("recipeNameInput");
+const recipeUrlInput = document.getElementById("recipeUrlInput");
+const saveRecipeBtn = document.getElementById("saveRecipeBtn");
+const recipeList = document.getElementById("recipeList");
+const libraryBtn = document.getElementById("libraryBtn");
+const pickNextBtn = document.getElementById("pickNextBtn");
+const nextXPathText = document.getElementById("nextXPathText");
+const maxPagesInput = document.getElementById("maxPagesInput");
+const startCrawlBtn = document.getElementById("startCrawlBtn");
+const scanCandidatesBtn = document.getElementById("scanCandidatesBtn");
+const candidateList = document.getElementById("candidateList");
+const levelList = document.getElementById("levelList");
+const exclusionList = document.getElementById("exclusionList");
+const fieldList = document.getElementById("fieldList");
+const fieldNameInput = document.getElementById("fieldNameInput");
+const pickFieldBtn = document.getElementById("pickFieldBtn");
+const columnList = document.getElementById("columnList");
+const firstRowHeaderOption = document.getElementById("firstRowHeaderOption");
+const firstRowHeaderCheckbox = document.getElementById("firstRowHeaderCheckbox");
+const scrollTargetSelect = document.getElementById("scrollTargetSelect");
+const scrollKeyColumnInput = document.getElementById("scrollKeyColumnInput");
+const scrollIdleStepsInput = document.getElementById("scrollIdleStepsInput");
+const startScrollBtn = document.getElementById("startScrollBtn");
+const watchModeSelect = document.getElementById("watchModeSelect");
+const watchIntervalInput = document.getElementById("watchIntervalInput");
+const startWatchBtn = document.getElementById("startWatchBtn");
+const jobPanel = document.getElementById("jobPanel");
+const jobStatusText = document.getElementById("jobStatusText");
+const jobProgress = document.getElementById("jobProgress");
+const stopJobBtn = document.getElementById("stopJobBtn");
 const toast = document.getElementById("toast");
 
 // ========================================
@@ -24,6 +86,19 @@ const toast = document.getElementById("toast");
 
 let isSelectionModeActive = false;
 
+// エクスポート用に保持する最新の抽出データ
+// saveExtractedData で保存された extractedData / patternInfo / timestamp の組
+let currentData = null;
+let currentPatternInfo = null;
+let currentTimestamp = null;
+
+// パターンXPathの入力が止まってからプレビューするまでの待ち時間
+const XPATH_PREVIEW_DELAY_MS = 300;
+
+// パターンXPathのプレビューのタイマーと、入力欄を編集中かどうか（編集中は抽出データの更新で上書きしない）
+let xpathPreviewTimer = null;
+let isXPathEdited = false;
+
 // ========================================
 // UI更新関数
 // ========================================
@@ -47,6 +122,20 @@ function updateToggleButton(isActive) {
  * パターン情報の表示を更新
  */
 function updatePatternInfo(patternInfo) {
+    updateIrregularRowsWarning(patternInfo);
+    renderPatternBreadcrumb(patternInfo);
+    updatePatternXPathEditor(patternInfo);
+    
+    // 1要素目のクリック後にリストが提案されている場合のみ確定ボタンを表示
+    const suggestion = patternInfo && patternInfo.type === "single" ? patternInfo.suggestion : null;
+    listSuggestionRow.style.display = suggestion ? "" : "none";
+    listSuggestionText.textContent = suggestion ? `${suggestion.count}件のリストを提案中（ページ上で Enter でも確定）` : "";
+    
+    // tfoot があるテーブルの場合のみフッターの切り替えを表示
+    const hasFooter = Boolean(patternInfo && patternInfo.table && patternInfo.hasFooter);
+    tableFooterOption.style.display = hasFooter ? "" : "none";
+    includeFooterCheckbox.checked = hasFooter && patternInfo.includeFooter === true;
+    
     if (!patternInfo) {
         patternType.textContent = "未検出";
         patternType.className = "badge";
@@ -67,6 +156,14 @@ function updatePatternInfo(patternInfo) {
             patternType.textContent = "2次元";
             patternType.className = "badge badge-warning";
             break;
+        case "nd":
+            patternType.textContent = "N次元";
+            patternType.className = "badge badge-warning";
+            break;
+        case "record":
+            patternType.textContent = "レコード";
+            patternType.className = "badge badge-success";
+            break;
         case "multiple":
             patternType.textContent = "複数";
             patternType.className = "badge";
@@ -76,18 +173,102 @@ function updatePatternInfo(patternInfo) {
             patternType.className = "badge";
     }
     
-    if (patternInfo.type === "2d" && patternInfo.rows !== undefined) {
+    if (patternInfo.type === "nd" && Array.isArray(patternInfo.levels)) {
+        elementCount.textContent = patternInfo.levels.map((level) => level.count).join("×");
+    } else if ((patternInfo.type === "2d" || patternInfo.type === "record") && patternInfo.rows !== undefined) {
         elementCount.textContent = `${patternInfo.rows}×${patternInfo.cols}`;
     } else {
         elementCount.textContent = `${patternInfo.count || 0}`;
     }
 }
 
+/**
+ * パターンXPathの入力欄に現在のパターンを表示
+ * 
+ * @param {object|null} patternInfo - パターン情報
+ */
+function updatePatternXPathEditor(patternInfo) {
+    if (isXPathEdited) {
+        return;
+    }
+    patternXPathInput.value = patternInfo && patternInfo.xpath ? patternInfo.xpath : "";
+    setPatternXPathStatus("", false);
+}
+
+/**
+ * パターンのXPathをセグメントごとのパンくずリストとして表示
+ * 可変の階層（ワイルドカード）は緑で表示し、クリックで固定の位置と切り替えられる
+ * 
+ * @param {object|null} patternInfo - パターン情報（segments にセグメントごとの情報を持つ）
+ */
+function renderPatternBreadcrumb(patternInfo) {
+    patternBreadcrumb.textContent = "";
+    
+    // ページ巡回の結合結果などは対象外
+    const segments = patternInfo && Array.isArray(patternInfo.segments) && patternInfo.pageCount === undefined ? patternInfo.segments : [];
+    let separator = "/";
+    segments.forEach((segment, index) => {
+        if (segment.text === "//") {
+            separator = "//";
+            return;
+        }
+        patternBreadcrumb.appendChild(document.createTextNode(separator));
+        separator = "/";
+        
+        const crumb = document.createElement("button");
+        crumb.className = segment.variable ? "crumb variable" : "crumb";
+        crumb.textContent = segment.text;
+        crumb.disabled = !segment.toggleable;
+        crumb.title = segment.variable ? "クリックで位置を固定" : "クリックでワイルドカード [*] にする";
+        crumb.addEventListener("click", () => handleSegmentClick(index));
+        patternBreadcrumb.appendChild(crumb);
+    });
+}
+
+/**
+ * パターンXPathの評価結果を表示
+ * 
+ * @param {string} text - 表示するメッセージ
+ * @param {boolean} isError - エラーの場合はtrue
+ */
+function setPatternXPathStatus(text, isError) {
+    patternXPathStatus.textContent = text;
+    patternXPathStatus.title = text;
+    patternXPathStatus.classList.toggle("error", isError);
+}
+
+/**
+ * 多数派と列構成が異なる行（セルが欠けている行など）の警告を表示
+ * 
+ * @param {object|null} patternInfo - パターン情報（irregularRows に行番号の配列を持つ）
+ */
+function updateIrregularRowsWarning(patternInfo) {
+    const irregularRows = patternInfo && Array.isArray(patternInfo.irregularRows) ? patternInfo.irregularRows : [];
+    if (irregularRows.length === 0) {
+        irregularRowsWarning.classList.remove("show");
+        irregularRowsWarning.textContent = "";
+        return;
+    }
+    
+    const maxListed = 10;
+    const rowNumbers = irregularRows.slice(0, maxListed).map((index) => index + 1).join(", ");
+    const suffix = irregularRows.length > maxListed ? " ほか" : "";
+    irregularRowsWarning.textContent = `※ 他の行と列構成が異なる行: ${irregularRows.length}行（${rowNumbers}${suffix} 行目）`;
+    irregularRowsWarning.classList.add("show");
+}
+
 /**
  * 抽出データをテキストエリアに表示
  * Excelやエディタにそのまま貼り付けられる形式
  */
 function updateDataDisplay(data, patternInfo) {
+    currentData = data;
+    currentPatternInfo = patternInfo;
+    renderLevelList(patternInfo);
+    renderExclusionList(patternInfo);
+    renderFieldList(patternInfo);
+    renderColumnList(data, patternInfo);
+    
     if (!data || data.length === 0) {
         dataTextarea.value = "";
         return;
@@ -117,7 +298,569 @@ function updateDataDisplay(data, patternInfo) {
             .join("\n");
     }
     
+    // 列名がある場合は先頭の行に表示する
+    const columnNames = getColumnNames(patternInfo);
+    if (columnNames) {
+        displayText = `${columnNames.join("\t")}\n${displayText}`;
+    }
+    
     dataTextarea.value = displayText;
+    
+    // 監視ログは新しい行が末尾に追加されるため、最新の行を表示する
+    if (patternInfo && patternInfo.watch) {
+        dataTextarea.scrollTop = dataTextarea.scrollHeight;
+    }
+}
+
+// 列の抽出元の選択肢
+const COLUMN_SOURCE_OPTIONS = [
+    { value: "text", label: "テキスト" },
+    { value: "innerText", label: "表示テキスト" },
+    { value: "attribute", label: "属性" },
+    { value: "outerHTML", label: "outerHTML" },
+    { value: "innerHTML", label: "innerHTML" },
+    { value: "value", label: "フォームの値" }
+];
+
+/**
+ * 列ごとの設定欄を表示
+ * 出力するかどうか・列名・抽出元・並び順を設定できる
+ * 
+ * @param {Array} data - 抽出データ
+ * @param {object|null} patternInfo - パターン情報（columnLayout に出力順の列の設定を持つ）
+ */
+function renderColumnList(data, patternInfo) {
+    columnList.textContent = "";
+    
+    const hasFirstRowOption = Boolean(patternInfo && patternInfo.firstRowHeaderAvailable && patternInfo.pageCount === undefined);
+    firstRowHeaderOption.style.display = hasFirstRowOption ? "" : "none";
+    firstRowHeaderCheckbox.checked = hasFirstRowOption && patternInfo.firstRowHeader === true;
+    
+    // ページ巡回・複数のフレームの結合結果や監視ログは先頭に追加列があるため、列の設定は対象外
+    const layout = patternInfo && Array.isArray(patternInfo.columnLayout) ? patternInfo.columnLayout : [];
+    if (layout.length === 0 || !data || data.length === 0 || !patternInfo.xpath || patternInfo.watch || patternInfo.pageCount !== undefined) {
+        const empty = document.createElement("li");
+        empty.className = "recipe-empty";
+        empty.textContent = patternInfo && patternInfo.frameCount
+            ? "複数のフレームの結合結果のため、列の設定はできません（クリアして1つのフレームで選択し直してください）"
+            : "パターンを検出すると列ごとに設定できます";
+        columnList.appendChild(empty);
+        return;
+    }
+    
+    // 1次元パターンの唯一の列は非表示・並び替えの対象外
+    const isSingleColumn = patternInfo.type !== "2d" && patternInfo.type !== "nd" && patternInfo.type !== "record";
+    layout.forEach((column, position) => {
+        const item = document.createElement("li");
+        item.className = "tool-row";
+        
+        const visibleCheckbox = document.createElement("input");
+        visibleCheckbox.type = "checkbox";
+        visibleCheckbox.checked = column.visible;
+        visibleCheckbox.disabled = isSingleColumn;
+        visibleCheckbox.title = "出力する";
+        visibleCheckbox.addEventListener("change", () => {
+            handleColumnLayoutChange({ index: column.index, visible: visibleCheckbox.checked });
+        });
+        
+        const nameInput = document.createElement("input");
+        nameInput.type = "text";
+        nameInput.className = "option-input column-name-input";
+        nameInput.placeholder = column.proposed || `列${column.index + 1}`;
+        nameInput.value = column.name;
+        nameInput.title = "列名（空欄の場合は推定した列名）";
+        nameInput.addEventListener("change", () => {
+            handleColumnLayoutChange({ index: column.index, name: nameInput.value });
+        });
+        
+        const select = document.createElement("select");
+        COLUMN_SOURCE_OPTIONS.forEach((option) => {
+            const optionElement = document.createElement("option");
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            select.appendChild(optionElement);
+        });
+        select.value = column.source || "text";
+        
+        const attributeInput = document.createElement("input");
+        attributeInput.type = "text";
+        attributeInput.className = "option-input";
+        attributeInput.placeholder = "属性名";
+        attributeInput.setAttribute("list", "attributeSuggestions");
+        attributeInput.value = column.attribute || "";
+        attributeInput.style.display = column.source === "attribute" ? "" : "none";
+        
+        const handleChange = () => {
+            attributeInput.style.display = select.value === "attribute" ? "" : "none";
+            if (select.value === "attribute" && attributeInput.value.trim() === "") {
+                attributeInput.focus();
+                return;
+            }
+            handleColumnSettingChange(column.index, { source: select.value, attribute: attributeInput.value });
+        };
+        select.addEventListener("change", handleChange);
+        attributeInput.addEventListener("change", handleChange);
+        
+        item.appendChild(visibleCheckbox);
+        item.appendChild(nameInput);
+        item.appendChild(select);
+        item.appendChild(attributeInput);
+        
+        if (!isSingleColumn) {
+            [
+                { label: "↑", title: "左へ移動", offset: -1 },
+                { label: "↓", title: "右へ移動", offset: 1 }
+            ].forEach((move) => {
+                const button = document.createElement("button");
+                button.className = "btn btn-secondary";
+                button.textContent = move.label;
+                button.title = move.title;
+                button.disabled = position + move.offset < 0 || position + move.offset >= layout.length;
+                button.addEventListener("click", () => handleMoveColumnClick(layout, position, move.offset));
+                item.appendChild(button);
+            });
+        }
+        columnList.appendChild(item);
+    });
+}
+
+/**
+ * 列の並び替えボタンのクリックハンドラ
+ * 
+ * @param {object[]} layout - 出力順の列の設定
+ * @param {number} position - 移動する列の出力順の位置
+ * @param {number} offset - 移動量（-1: 左へ, 1: 右へ）
+ */
+function handleMoveColumnClick(layout, position, offset) {
+    const order = layout.map((column) => column.index);
+    const target = position + offset;
+    [order[position], order[target]] = [order[target], order[position]];
+    handleColumnLayoutChange({ order: order });
+}
+
+/**
+ * 列名・列の並び順・非表示の列・1行目を列名にするかどうかの変更ハンドラ
+ * 
+ * @param {object} update - 変更内容（content.js の updateColumnLayout() を参照）
+ */
+function handleColumnLayoutChange(update) {
+    chrome.runtime.sendMessage({ action: "updateColumnLayout", update: update }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("列の設定に失敗しました");
+        }
+    });
+}
+
+/**
+ * 可変の階層のプレビューを表示
+ * - 2次元パターン: 行・列に当たる階層を表示し、行と列の役割を入れ替えられる
+ * - N次元パターン: 行より上のグループの階層は、入れ子にするか列に展開するかを選択できる
+ * 
+ * @param {object|null} patternInfo - パターン情報（axes に2次元の階層、levels にN次元の階層ごとの件数と出力方法を持つ）
+ */
+function renderLevelList(patternInfo) {
+    levelList.textContent = "";
+    
+    // ページ巡回の結合結果などは対象外
+    if (patternInfo && patternInfo.type === "2d" && Array.isArray(patternInfo.axes) && patternInfo.pageCount === undefined) {
+        renderAxisList(patternInfo);
+        return;
+    }
+    
+    const levels = patternInfo && patternInfo.type === "nd" && Array.isArray(patternInfo.levels) ? patternInfo.levels : [];
+    if (levels.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "recipe-empty";
+        empty.textContent = "可変の階層が2つ以上のパターンで表示されます";
+        levelList.appendChild(empty);
+        return;
+    }
+    
+    levels.forEach((level, index) => {
+        const item = document.createElement("li");
+        item.className = "tool-row";
+        
+        const label = document.createElement("span");
+        if (index === levels.length - 1) {
+            label.textContent = `列（${level.count}件）`;
+        } else if (index === levels.length - 2) {
+            label.textContent = `行（${level.count}件）`;
+        } else {
+            label.textContent = `グループ${index + 1}（${level.count}件）`;
+        }
+        item.appendChild(label);
+        
+        if (level.mode) {
+            const select = document.createElement("select");
+            [
+                { value: "nest", label: "入れ子にする" },
+                { value: "flatten", label: "列に展開" }
+            ].forEach((option) => {
+                const optionElement = document.createElement("option");
+                optionElement.value = option.value;
+                optionElement.textContent = option.label;
+                select.appendChild(optionElement);
+            });
+            select.value = level.mode;
+            select.addEventListener("change", () => handleLevelModeChange(index, select.value));
+            item.appendChild(select);
+        }
+        levelList.appendChild(item);
+    });
+}
+
+/**
+ * 2次元パターンの行・列に当たる階層と、行と列の入れ替えボタンを表示
+ * 
+ * @param {object} patternInfo - パターン情報（axes に階層のセグメント・深さ・役割を持つ）
+ */
+function renderAxisList(patternInfo) {
+    patternInfo.axes.forEach((axis) => {
+        const item = document.createElement("li");
+        item.className = "tool-row";
+        
+        const label = document.createElement("span");
+        label.textContent = `${axis.role === "row" ? "行" : "列"}: ${axis.segment}（深さ${axis.depth}）`;
+        label.title = patternInfo.xpath;
+        item.appendChild(label);
+        levelList.appendChild(item);
+    });
+    
+    const item = document.createElement("li");
+    item.className = "tool-row";
+    const swapButton = document.createElement("button");
+    swapButton.className = "btn btn-secondary";
+    swapButton.textContent = "行と列を入れ替える（転置）";
+    swapButton.addEventListener("click", () => handleSwapAxesClick(!patternInfo.swapAxes));
+    item.appendChild(swapButton);
+    levelList.appendChild(item);
+}
+
+/**
+ * 行と列の入れ替えボタンのクリックハンドラ
+ * 
+ * @param {boolean} swapAxes - 内側の可変の階層を行にする場合はtrue
+ */
+function handleSwapAxesClick(swapAxes) {
+    chrome.runtime.sendMessage({ action: "setAxesSwapped", swapAxes: swapAxes }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("行と列の入れ替えに失敗しました");
+        }
+    });
+}
+
+/**
+ * テーブルのフッターを含めるかどうかの変更ハンドラ
+ */
+function handleIncludeFooterChange() {
+    chrome.runtime.sendMessage({ action: "setTableFooterIncluded", includeFooter: includeFooterCheckbox.checked }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("テーブルの設定に失敗しました");
+        }
+    });
+}
+
+/**
+ * N次元パターンのグループの階層の出力方法の変更ハンドラ
+ * 
+ * @param {number} level - グループの階層（0始まり）
+ * @param {string} mode - 'nest' | 'flatten'
+ */
+function handleLevelModeChange(level, mode) {
+    chrome.runtime.sendMessage({ action: "setLevelMode", level: level, mode: mode }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("階層の設定に失敗しました");
+        }
+    });
+}
+
+/**
+ * パターンの除外の設定の一覧を表示
+ * 
+ * @param {object|null} patternInfo - パターン情報（exclusions に除外の設定の表示名を持つ）
+ */
+function renderExclusionList(patternInfo) {
+    exclusionList.textContent = "";
+    
+    const exclusions = patternInfo && Array.isArray(patternInfo.exclusions) && patternInfo.pageCount === undefined ? patternInfo.exclusions : [];
+    if (exclusions.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "recipe-empty";
+        empty.textContent = "一致要素（緑）を Alt+クリックするとパターンから除外できます";
+        exclusionList.appendChild(empty);
+        return;
+    }
+    
+    exclusions.forEach((label, index) => {
+        const item = document.createElement("li");
+        item.className = "recipe-item";
+        
+        const name = document.createElement("span");
+        name.className = "recipe-name";
+        name.textContent = label;
+        name.title = label;
+        
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "btn btn-secondary";
+        deleteButton.textContent = "×";
+        deleteButton.title = "除外をやめる";
+        deleteButton.addEventListener("click", () => handleRemoveExclusionClick(index));
+        
+        item.appendChild(name);
+        item.appendChild(deleteButton);
+        exclusionList.appendChild(item);
+    });
+}
+
+/**
+ * 除外の設定の削除ボタンのクリックハンドラ
+ * 
+ * @param {number} index - 削除する除外の設定の番号（0始まり）
+ */
+function handleRemoveExclusionClick(index) {
+    chrome.runtime.sendMessage({ action: "removeExclusion", index: index }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("除外の削除に失敗しました");
+        }
+    });
+}
+
+/**
+ * 検出した繰り返し構造の候補の一覧を表示
+ * 各候補には行数・列数・規則性と、先頭の数行のプレビューを表示し、
+ * マウスを乗せるとページ上の項目をハイライトする
+ * 
+ * @param {object[]} candidates - 候補の配列（スコアの高い順）
+ */
+function renderCandidateList(candidates) {
+    candidateList.textContent = "";
+    
+    if (candidates.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "recipe-empty";
+        empty.textContent = "繰り返し構造が見つかりませんでした";
+        candidateList.appendChild(empty);
+        return;
+    }
+    
+    candidates.forEach((candidate) => {
+        const item = document.createElement("li");
+        item.className = "recipe-item candidate-item";
+        item.addEventListener("mouseenter", () => handleCandidateHover(candidate));
+        item.addEventListener("mouseleave", () => handleCandidateHover(null));
+        
+        const name = document.createElement("span");
+        name.className = "recipe-name";
+        name.textContent = candidate.label;
+        name.title = candidate.label;
+        
+        const meta = document.createElement("span");
+        meta.className = "candidate-meta";
+        meta.textContent = `${candidate.rowCount}行×${candidate.columnCount}列 / 規則性${Math.round(candidate.regularity * 100)}%`;
+        
+        const applyButton = document.createElement("button");
+        applyButton.className = "btn btn-primary";
+        applyButton.textContent = "選択";
+        applyButton.addEventListener("click", () => handleApplyCandidateClick(candidate));
+        applyButton.addEventListener("focus", () => handleCandidateHover(candidate));
+        
+        const preview = document.createElement("table");
+        preview.className = "candidate-preview";
+        candidate.preview.forEach((cells) => {
+            const row = document.createElement("tr");
+            cells.forEach((text) => {
+                const cell = document.createElement("td");
+                cell.textContent = text;
+                cell.title = text;
+                row.appendChild(cell);
+            });
+            preview.appendChild(row);
+        });
+        
+        item.appendChild(name);
+        item.appendChild(meta);
+        item.appendChild(applyButton);
+        item.appendChild(preview);
+        candidateList.appendChild(item);
+    });
+}
+
+/**
+ * 「ページを解析」ボタンのクリックハンドラ
+ */
+function handleScanCandidatesClick() {
+    chrome.runtime.sendMessage({ action: "scanCandidates" }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("ページを解析できませんでした");
+            return;
+        }
+        renderCandidateList(response.candidates);
+    });
+}
+
+/**
+ * 候補にマウスを乗せた・外したときのハンドラ（ページ上の候補のハイライト）
+ * 
+ * @param {{ index: number, frameId: number }|null} candidate - 候補（nullでハイライトを消す）
+ */
+function handleCandidateHover(candidate) {
+    chrome.runtime.sendMessage({
+        action: "highlightCandidate",
+        index: candidate ? candidate.index : null,
+        frameId: candidate ? candidate.frameId : null
+    }, () => {
+        // ハイライトのみのため、失敗しても通知しない
+        if (chrome.runtime.lastError) {
+            return;
+        }
+    });
+}
+
+/**
+ * 候補の選択ボタンのクリックハンドラ
+ * 
+ * @param {{ index: number, frameId: number }} candidate - 適用する候補（frameId は候補を検出したフレーム）
+ */
+function handleApplyCandidateClick(candidate) {
+    chrome.runtime.sendMessage({ action: "applyCandidate", index: candidate.index, frameId: candidate.frameId }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("候補を適用できませんでした（ページを再解析してください）");
+            return;
+        }
+        showToast(`${response.count}件に一致`);
+    });
+}
+
+/**
+ * レコードのフィールド一覧を表示
+ * 
+ * @param {object|null} patternInfo - パターン情報（fields にフィールドの配列を持つ）
+ */
+function renderFieldList(patternInfo) {
+    fieldList.textContent = "";
+    
+    const fields = patternInfo && patternInfo.type === "record" && Array.isArray(patternInfo.fields) ? patternInfo.fields : [];
+    if (fields.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "recipe-empty";
+        empty.textContent = "繰り返し要素のパターンを検出してからフィールドを追加します";
+        fieldList.appendChild(empty);
+        return;
+    }
+    
+    fields.forEach((field, index) => {
+        const item = document.createElement("li");
+        item.className = "recipe-item";
+        
+        const name = document.createElement("span");
+        name.className = "recipe-name";
+        name.textContent = field.name;
+        name.title = field.path;
+        
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "btn btn-secondary";
+        deleteButton.textContent = "×";
+        deleteButton.title = "削除";
+        deleteButton.addEventListener("click", () => handleRemoveFieldClick(index));
+        
+        item.appendChild(name);
+        item.appendChild(deleteButton);
+        fieldList.appendChild(item);
+    });
+}
+
+/**
+ * フィールドの要素選択ボタンのクリックハンドラ
+ */
+function handlePickFieldClick() {
+    chrome.runtime.sendMessage({ action: "startFieldPicking", name: fieldNameInput.value }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("繰り返し要素が未検出です");
+            return;
+        }
+        fieldNameInput.value = "";
+        showToast("フィールドをクリック");
+        // ページ上をクリックできるようにポップアップを閉じる
+        setTimeout(() => window.close(), 600);
+    });
+}
+
+/**
+ * フィールドの削除ボタンのクリックハンドラ
+ * 
+ * @param {number} index - フィールドの番号（0始まり）
+ */
+function handleRemoveFieldClick(index) {
+    chrome.runtime.sendMessage({ action: "removeRecordField", index: index }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("削除に失敗しました");
+        }
+    });
+}
+
+/**
+ * 列の抽出元の変更ハンドラ
+ * 
+ * @param {number} index - 列番号（0始まり）
+ * @param {{ source: string, attribute?: string }} column - 抽出元の設定
+ */
+function handleColumnSettingChange(index, column) {
+    chrome.runtime.sendMessage({ action: "setColumnSetting", index: index, column: column }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("列の設定に失敗しました");
+        }
+    });
+}
+
+/**
+ * 「次へ」要素の指定状態を表示
+ * 
+ * @param {string|null} xpath - 「次へ」要素のXPath
+ */
+function updateNextPageDisplay(xpath) {
+    nextXPathText.textContent = xpath || "未指定";
+    nextXPathText.title = xpath || "";
+}
+
+/**
+ * 実行中ジョブの進捗を表示
+ * 実行中でなくても終了メッセージがあれば表示する
+ * 
+ * @param {object|null} status - { kind: "pagination"|"scroll"|"watch", running, page, maxPages, step, rowCount, message }
+ */
+function updateJobStatus(status) {
+    if (!status || (!status.running && !status.message)) {
+        jobPanel.classList.remove("show");
+        startCrawlBtn.disabled = false;
+        startScrollBtn.disabled = false;
+        startWatchBtn.disabled = false;
+        return;
+    }
+    
+    jobPanel.classList.add("show");
+    stopJobBtn.style.display = status.running ? "" : "none";
+    startCrawlBtn.disabled = status.running;
+    startScrollBtn.disabled = status.running;
+    startWatchBtn.disabled = status.running;
+    
+    const rowText = status.rowCount !== undefined ? `（${status.rowCount}行）` : "";
+    if (status.running && status.kind === "scroll") {
+        jobStatusText.textContent = `スクロール収集中: ${status.step} ステップ目${rowText}`;
+    } else if (status.running && status.kind === "watch") {
+        jobStatusText.textContent = `値の変化を記録中${rowText}`;
+    } else if (status.running) {
+        jobStatusText.textContent = `${status.page} / ${status.maxPages} ページ目を抽出中${rowText}`;
+    } else {
+        jobStatusText.textContent = `${status.message}${rowText}`;
+    }
+    
+    if (status.maxPages) {
+        jobProgress.style.display = "";
+        jobProgress.max = status.maxPages;
+        jobProgress.value = status.page || 0;
+    } else {
+        jobProgress.style.display = "none";
+    }
 }
 
 /**
@@ -132,6 +875,407 @@ function showToast(message) {
     }, 1500);
 }
 
+// ========================================
+// エクスポート関数
+// ========================================
+
+/**
+ * 抽出データを行の配列（各行はセルの配列）に正規化する
+ * 1次元データは1列の表として扱う
+ * 
+ * @param {Array} data - 抽出データ（1次元または2次元）
+ * @param {{ keepNull?: boolean }} [options] - keepNull: true の場合は null（レコードの欠けたフィールド）を文字列に変換しない
+ * @returns {(string|null)[][]} 行の配列
+ */
+function normalizeRows(data, options = {}) {
+    if (!data) {
+        return [];
+    }
+    const convertCell = (value) => (options.keepNull && value === null ? null : formatCell(value));
+    return data.map((row) => {
+        if (Array.isArray(row)) {
+            return row.map(convertCell);
+        }
+        return [convertCell(row)];
+    });
+}
+
+/**
+ * セルの値を文字列に変換する（null / undefined は空文字）
+ * 
+ * @param {*} value - セルの値
+ * @returns {string} 文字列化した値
+ */
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    return String(value);
+}
+
+/**
+ * パターン情報から列名を取得する
+ * 
+ * @param {object|null} patternInfo - パターン情報
+ * @returns {string[]|null} 列名の配列（未設定の場合はnull）
+ */
+function getColumnNames(patternInfo) {
+    if (!patternInfo || !Array.isArray(patternInfo.columnNames) || patternInfo.columnNames.length === 0) {
+        return null;
+    }
+    return patternInfo.columnNames.map(formatCell);
+}
+
+/**
+ * 行データをRFC 4180形式のCSV文字列に変換する
+ * 
+ * カンマ・ダブルクォート・改行を含むフィールドはダブルクォートで囲み、
+ * フィールド内のダブルクォートは2つ重ねてエスケープする。行区切りはCRLF。
+ * 
+ * @param {string[][]} rows - 行データ
+ * @param {string[]|null} columnNames - ヘッダー行に使用する列名
+ * @returns {string} CSV文字列
+ */
+function toCsv(rows, columnNames) {
+    const escapeField = (field) => {
+        if (/[",\r\n]/.test(field)) {
+            return `"${field.replace(/"/g, '""')}"`;
+        }
+        return field;
+    };
+    
+    const lines = [];
+    if (columnNames) {
+        lines.push(columnNames.map(escapeField).join(","));
+    }
+    rows.forEach((row) => {
+        lines.push(row.map(escapeField).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * 行データをJSON文字列に変換する
+ * 
+ * 列名がある場合はオブジェクトの配列、ない場合は配列の配列として出力する
+ * 
+ * @param {Array} rows - 行データ（nestDepth が1以上の場合はグループの入れ子の配列）
+ * @param {string[]|null} columnNames - オブジェクトのキーに使用する列名
+ * @param {number} [nestDepth=0] - 行の配列までの入れ子の深さ（N次元パターンの入れ子にしたグループの階層の数）
+ * @returns {string} JSON文字列
+ */
+function toJson(rows, columnNames, nestDepth = 0) {
+    if (!columnNames) {
+        return JSON.stringify(rows, null, 2);
+    }
+    
+    // 重複した列名は連番を付けて区別する
+    const keys = [];
+    columnNames.forEach((name, index) => {
+        let key = name || `column${index + 1}`;
+        let suffix = 2;
+        while (keys.includes(key)) {
+            key = `${name || `column${index + 1}`}_${suffix}`;
+            suffix++;
+        }
+        keys.push(key);
+    });
+    
+    const toObjects = (value, depth) => {
+        if (depth > 0) {
+            return value.map((group) => toObjects(group, depth - 1));
+        }
+        return value.map((row) => {
+            const object = {};
+            keys.forEach((key, index) => {
+                object[key] = index < row.length ? row[index] : "";
+            });
+            return object;
+        });
+    };
+    return JSON.stringify(toObjects(rows, nestDepth), null, 2);
+}
+
+/**
+ * 行データをMarkdownのテーブル文字列に変換する
+ * 列名がない場合は「列1」「列2」…をヘッダーとして使用する
+ * 
+ * @param {string[][]} rows - 行データ
+ * @param {string[]|null} columnNames - ヘッダー行に使用する列名
+ * @returns {string} Markdown文字列
+ */
+function toMarkdown(rows, columnNames) {
+    const columnCount = Math.max(
+        columnNames ? columnNames.length : 0,
+        ...rows.map((row) => row.length)
+    );
+    const headers = [];
+    for (let i = 0; i < columnCount; i++) {
+        headers.push(columnNames && columnNames[i] ? columnNames[i] : `列${i + 1}`);
+    }
+    
+    // パイプと改行はテーブル構造を壊すためエスケープする
+    const escapeCell = (cell) => cell.replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+    const toLine = (cells) => {
+        const padded = [];
+        for (let i = 0; i < columnCount; i++) {
+            padded.push(escapeCell(cells[i] || ""));
+        }
+        return `| ${padded.join(" | ")} |`;
+    };
+    
+    const lines = [
+        toLine(headers),
+        `| ${headers.map(() => "---").join(" | ")} |`
+    ];
+    rows.forEach((row) => {
+        lines.push(toLine(row));
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * 行データをタブ区切りテキストに変換する
+ * セル内のタブ・改行は表計算ソフトでセルがずれないよう空白に置換する
+ * 
+ * @param {string[][]} rows - 行データ
+ * @param {string[]|null} columnNames - ヘッダー行に使用する列名
+ * @returns {string} TSV文字列
+ */
+function toTsv(rows, columnNames) {
+    const toLine = (cells) => cells.map((cell) => cell.replace(/[\t\r\n]+/g, " ")).join("\t");
+    const lines = columnNames ? [toLine(columnNames)] : [];
+    rows.forEach((row) => {
+        lines.push(toLine(row));
+    });
+    return lines.join("\n");
+}
+
+/**
+ * 行データをHTMLの<table>文字列に変換する
+ * 列名がある場合は<thead>のヘッダー行として出力する
+ * 
+ * @param {string[][]} rows - 行データ
+ * @param {string[]|null} columnNames - ヘッダー行に使用する列名
+ * @returns {string} HTML文字列
+ */
+function toHtmlTable(rows, columnNames) {
+    const escapeHtml = (text) => text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    
+    const parts = ["<table>"];
+    if (columnNames) {
+        parts.push(`<thead><tr>${columnNames.map((name) => `<th>${escapeHtml(name)}</th>`).join("")}</tr></thead>`);
+    }
+    parts.push("<tbody>");
+    rows.forEach((row) => {
+        parts.push(`<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`);
+    });
+    parts.push("</tbody></table>");
+    return parts.join("");
+}
+
+/**
+ * 数値列の指定文字列を解析する
+ * 
+ * 例: "2, 4" → Set { 1, 3 }（1始まりの列番号を0始まりに変換）
+ * 
+ * @param {string} text - カンマ区切りの列番号
+ * @returns {Set<number>} 数値として扱う列の0始まりインデックス
+ */
+function parseNumericColumns(text) {
+    const indices = new Set();
+    String(text || "").split(/[,\s、]+/).forEach((token) => {
+        const columnNumber = parseInt(token, 10);
+        if (columnNumber > 0) {
+            indices.add(columnNumber - 1);
+        }
+    });
+    return indices;
+}
+
+/**
+ * 文字列を数値に変換する（桁区切りのカンマは除去）
+ * 数値として解釈できない場合はnullを返す
+ * 
+ * @param {string} text - 変換する文字列
+ * @returns {number|null} 変換結果
+ */
+function parseNumericCell(text) {
+    const cleaned = text.replace(/[,\s]/g, "");
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) {
+        return null;
+    }
+    const value = Number(cleaned);
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * タイムスタンプを "YYYY-MM-DD HH:mm:ss" 形式の文字列に変換する
+ * 
+ * @param {number|null} timestamp - ミリ秒単位の時刻
+ * @returns {string} フォーマット済みの日時
+ */
+function formatTimestamp(timestamp) {
+    if (!timestamp) {
+        return "";
+    }
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * XLSXワークブックのシート定義を生成する
+ * 
+ * - "data" シート: 抽出データ（数値列に指定した列のみ数値セル、それ以外は文字列セル）
+ * - "meta" シート: パターンXPath・URL・抽出日時などのメタ情報
+ * 
+ * @param {string[][]} rows - 行データ
+ * @param {string[]|null} columnNames - ヘッダー行に使用する列名
+ * @param {Set<number>} numericColumns - 数値として扱う列のインデックス
+ * @returns {{ name: string, rows: Array<Array<object>> }[]} シート定義
+ */
+function buildXlsxSheets(rows, columnNames, numericColumns) {
+    const dataRows = [];
+    if (columnNames) {
+        dataRows.push(columnNames.map((name) => ({ type: "string", value: name, bold: true })));
+    }
+    rows.forEach((row) => {
+        dataRows.push(row.map((value, columnIndex) => {
+            if (numericColumns.has(columnIndex)) {
+                const number = parseNumericCell(value);
+                if (number !== null) {
+                    return { type: "number", value: number };
+                }
+            }
+            return { type: "string", value: value };
+        }));
+    });
+    
+    const info = currentPatternInfo || {};
+    const metaRows = [
+        ["パターンXPath", info.xpath || ""],
+        ["URL", info.url || ""],
+        ["ページタイトル", info.title || ""],
+        ["抽出日時", formatTimestamp(currentTimestamp)],
+        ["タイプ", info.type || ""],
+        ["行数", String(rows.length)]
+    ].map(([label, value]) => [
+        { type: "string", value: label, bold: true },
+        { type: "string", value: value }
+    ]);
+    
+    return [
+        { name: "data", rows: dataRows },
+        { name: "meta", rows: metaRows }
+    ];
+}
+
+/**
+ * ページタイトルとタイムスタンプからエクスポート用のファイル名を生成する
+ * 
+ * 例: "商品一覧_20240115_093000.csv"
+ * 
+ * @param {object|null} patternInfo - パターン情報（title を使用）
+ * @param {number|null} timestamp - 抽出時刻（ミリ秒）
+ * @param {string} extension - 拡張子（ドットなし）
+ * @returns {string} ファイル名
+ */
+function buildExportFileName(patternInfo, timestamp, extension) {
+    const rawTitle = patternInfo && patternInfo.title ? patternInfo.title : "";
+    // ファイル名に使用できない文字を置換し、長すぎるタイトルは切り詰める
+    const title = rawTitle
+        .replace(/[\\/:*?"<>|]/g, "_")
+        .replace(/\s+/g, "_")
+        .replace(/^[_.]+|[_.]+$/g, "")
+        .slice(0, 50) || "extracted-data";
+    
+    const date = new Date(timestamp || Date.now());
+    const pad = (value) => String(value).padStart(2, "0");
+    const datePart = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    const timePart = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    
+    return `${title}_${datePart}_${timePart}.${extension}`;
+}
+
+/**
+ * Blobを生成してファイルとしてダウンロードさせる
+ * 
+ * @param {BlobPart[]} parts - ファイルの内容
+ * @param {string} fileName - ファイル名
+ * @param {string} mimeType - MIMEタイプ
+ */
+function downloadFile(parts, fileName, mimeType) {
+    const blob = new Blob(parts, { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // ダウンロード開始を待ってからURLを解放
+    setTimeout(() => {
+        URL.revokeObjectURL(url);
+    }, 1000);
+}
+
+/**
+ * 抽出データを指定形式のファイルとしてエクスポートする
+ * 
+ * @param {"csv"|"json"|"markdown"|"xlsx"} format - 出力形式
+ */
+function exportData(format) {
+    if (!currentData || currentData.length === 0) {
+        showToast("データなし");
+        return;
+    }
+    
+    const rows = normalizeRows(currentData);
+    const columnNames = getColumnNames(currentPatternInfo);
+    
+    switch (format) {
+        case "csv": {
+            // BOMを付与するとExcelがUTF-8として認識し日本語が文字化けしない
+            const parts = csvBomCheckbox.checked ? ["\uFEFF", toCsv(rows, columnNames)] : [toCsv(rows, columnNames)];
+            downloadFile(parts, buildExportFileName(currentPatternInfo, currentTimestamp, "csv"), "text/csv;charset=utf-8");
+            break;
+        }
+        case "json": {
+            // N次元パターンは入れ子の配列（グループ → 行 → セル）で出力する
+            // それ以外は欠けたフィールドを空文字列ではなく null として出力する
+            const json = currentPatternInfo && currentPatternInfo.nestedData
+                ? toJson(currentPatternInfo.nestedData, columnNames, (currentPatternInfo.levels || []).filter((level) => level.mode === "nest").length)
+                : toJson(normalizeRows(currentData, { keepNull: true }), columnNames);
+            downloadFile([json], buildExportFileName(currentPatternInfo, currentTimestamp, "json"), "application/json");
+            break;
+        }
+        case "markdown":
+            downloadFile([toMarkdown(rows, columnNames)], buildExportFileName(currentPatternInfo, currentTimestamp, "md"), "text/markdown;charset=utf-8");
+            break;
+        case "xlsx": {
+            const sheets = buildXlsxSheets(rows, columnNames, parseNumericColumns(numericColumnsInput.value));
+            downloadFile(
+                [buildXlsxWorkbook(sheets)],
+                buildExportFileName(currentPatternInfo, currentTimestamp, "xlsx"),
+                "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            );
+            break;
+        }
+        default:
+            return;
+    }
+    
+    showToast("エクスポート完了");
+}
+
 // ========================================
 // データ取得関数
 // ========================================
@@ -146,6 +1290,7 @@ function loadStoredData() {
         }
         
         if (response && response.data) {
+            currentTimestamp = response.timestamp;
             updatePatternInfo(response.patternInfo);
             updateDataDisplay(response.data, response.patternInfo);
         } else {
@@ -155,6 +1300,19 @@ function loadStoredData() {
     });
 }
 
+/**
+ * ページ巡回の設定とジョブの進捗を取得して表示する
+ */
+function loadJobState() {
+    chrome.runtime.sendMessage({ action: "getJobState" }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            return;
+        }
+        updateNextPageDisplay(response.nextPageXPath);
+        updateJobStatus(response.jobStatus);
+    });
+}
+
 /**
  * 選択モードの現在の状態を取得
  */
@@ -172,10 +1330,214 @@ function checkSelectionModeStatus(callback) {
     });
 }
 
+// ========================================
+// レシピ関数
+// ========================================
+
+/**
+ * URLからレシピの初期URLパターンを生成する
+ * クエリやページ番号が変わっても一致するよう、パス以降を * にする
+ * 
+ * 例: "https://example.com/items?page=2" → "https://example.com/items*"
+ * 
+ * @param {string} url - アクティブタブのURL
+ * @returns {string} URLパターン
+ */
+function buildDefaultUrlPattern(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.origin}${parsed.pathname}*`;
+    } catch (e) {
+        return "";
+    }
+}
+
+/**
+ * レシピ一覧の表示を更新する
+ * 
+ * @param {object[]} recipes - 表示するレシピ
+ */
+function renderRecipeList(recipes) {
+    recipeList.textContent = "";
+    
+    if (!recipes || recipes.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "recipe-empty";
+        empty.textContent = "このページに一致するレシピはありません";
+        recipeList.appendChild(empty);
+        return;
+    }
+    
+    recipes.forEach((recipe) => {
+        const item = document.createElement("li");
+        item.className = "recipe-item";
+        
+        const name = document.createElement("span");
+        name.className = "recipe-name";
+        name.textContent = recipe.name;
+        name.title = `${recipe.urlPattern}\n${recipe.pattern ? recipe.pattern.xpath : ""}`;
+        
+        const autoApplyLabel = document.createElement("label");
+        autoApplyLabel.className = "option-label";
+        autoApplyLabel.title = "ページを開いたときに自動で適用";
+        const autoApplyCheckbox = document.createElement("input");
+        autoApplyCheckbox.type = "checkbox";
+        autoApplyCheckbox.checked = recipe.autoApply === true;
+        autoApplyCheckbox.addEventListener("change", () => {
+            handleAutoApplyChange(recipe.id, autoApplyCheckbox.checked);
+        });
+        autoApplyLabel.appendChild(autoApplyCheckbox);
+        autoApplyLabel.appendChild(document.createTextNode("自動"));
+        
+        const applyButton = document.createElement("button");
+        applyButton.className = "btn btn-primary";
+        applyButton.textContent = "適用";
+        applyButton.addEventListener("click", () => handleApplyRecipeClick(recipe.id));
+        
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "btn btn-secondary";
+        deleteButton.textContent = "×";
+        deleteButton.title = "削除";
+        deleteButton.addEventListener("click", () => handleDeleteRecipeClick(recipe.id));
+        
+        item.appendChild(name);
+        item.appendChild(autoApplyLabel);
+        item.appendChild(applyButton);
+        item.appendChild(deleteButton);
+        recipeList.appendChild(item);
+    });
+}
+
+/**
+ * アクティブタブに一致するレシピを取得して表示する
+ */
+function loadRecipes() {
+    chrome.runtime.sendMessage({ action: "getRecipesForActiveTab" }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            renderRecipeList([]);
+            return;
+        }
+        
+        if (!recipeUrlInput.value) {
+            recipeUrlInput.value = buildDefaultUrlPattern(response.url);
+        }
+        renderRecipeList(response.recipes);
+    });
+}
+
 // ========================================
 // イベントハンドラ
 // ========================================
 
+/**
+ * パターンXPathの入力ハンドラ
+ * 入力が止まったらページ上で評価し、一致要素のハイライトと一致件数（または構文エラー）を表示する
+ */
+function handlePatternXPathInput() {
+    isXPathEdited = true;
+    clearTimeout(xpathPreviewTimer);
+    xpathPreviewTimer = setTimeout(() => {
+        chrome.runtime.sendMessage({ action: "previewPatternXPath", xpath: patternXPathInput.value }, (response) => {
+            if (chrome.runtime.lastError || !response) {
+                setPatternXPathStatus("ページと通信できません", true);
+                return;
+            }
+            if (!response.success) {
+                setPatternXPathStatus(`エラー: ${response.error}`, true);
+                return;
+            }
+            setPatternXPathStatus(`一致: ${response.count}件`, false);
+        });
+    }, XPATH_PREVIEW_DELAY_MS);
+}
+
+/**
+ * パターンXPathの入力欄のキー操作ハンドラ
+ * Enter で適用（Shift+Enter は改行）、Esc で現在のパターンに戻す
+ * 
+ * @param {KeyboardEvent} event - キーボードイベント
+ */
+function handlePatternXPathKeyDown(event) {
+    if (event.key === "Enter" && !event.shiftKey && !event.isComposing) {
+        event.preventDefault();
+        handleApplyXPathClick();
+    } else if (event.key === "Escape" && isXPathEdited) {
+        event.preventDefault();
+        cancelPatternXPathEdit();
+    }
+}
+
+/**
+ * パターンXPathの編集を取り消し、ページのハイライトを現在のパターンに戻す
+ */
+function cancelPatternXPathEdit() {
+    clearTimeout(xpathPreviewTimer);
+    isXPathEdited = false;
+    updatePatternXPathEditor(currentPatternInfo);
+    chrome.runtime.sendMessage({ action: "cancelPatternXPathPreview" }, () => {
+        if (chrome.runtime.lastError) {
+            return;
+        }
+        setPatternXPathStatus("", false);
+    });
+}
+
+/**
+ * 提案されたリストの確定ボタンのクリックハンドラ
+ */
+function handleAcceptSuggestionClick() {
+    chrome.runtime.sendMessage({ action: "acceptListSuggestion" }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("提案を確定できませんでした");
+            return;
+        }
+        showToast(`${response.count}件に一致`);
+    });
+}
+
+/**
+ * パンくずリストのセグメントのクリックハンドラ
+ * セグメントを固定の位置とワイルドカード [*] で切り替える
+ * 
+ * @param {number} index - セグメント位置
+ */
+function handleSegmentClick(index) {
+    clearTimeout(xpathPreviewTimer);
+    isXPathEdited = false;
+    chrome.runtime.sendMessage({ action: "togglePatternSegment", index: index }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            showToast("パターンの変更に失敗しました");
+            return;
+        }
+        if (!response.success) {
+            showToast(response.error || "このセグメントは切り替えられません");
+            return;
+        }
+        setPatternXPathStatus(`一致: ${response.count}件`, false);
+    });
+}
+
+/**
+ * パターンXPathの適用ボタンのクリックハンドラ
+ * 入力したXPathで抽出に使うパターンを置き換える
+ */
+function handleApplyXPathClick() {
+    clearTimeout(xpathPreviewTimer);
+    chrome.runtime.sendMessage({ action: "setPatternXPath", xpath: patternXPathInput.value }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            showToast("パターンの適用に失敗しました");
+            return;
+        }
+        if (!response.success) {
+            setPatternXPathStatus(`エラー: ${response.error}`, true);
+            return;
+        }
+        isXPathEdited = false;
+        setPatternXPathStatus(`一致: ${response.count}件`, false);
+        showToast("パターンを適用しました");
+    });
+}
+
 /**
  * 選択モードをトグル
  */
@@ -202,24 +1564,193 @@ function handleToggleClick() {
 
 /**
  * コピーボタンのクリックハンドラ
+ * 
+ * リッチエディタ（Google Docs, Confluence, Outlook 等）向けの text/html と
+ * 表計算ソフト向けの text/plain（TSV）を1つのClipboardItemとして書き込む
  */
 function handleCopyClick() {
-    const text = dataTextarea.value;
-    
-    if (!text || text.trim() === "") {
+    if (!currentData || currentData.length === 0) {
         showToast("データなし");
         return;
     }
     
-    navigator.clipboard.writeText(text)
+    const rows = normalizeRows(currentData);
+    const columnNames = getColumnNames(currentPatternInfo);
+    const text = toTsv(rows, columnNames);
+    const html = toHtmlTable(rows, columnNames);
+    
+    const fallbackCopy = () => {
+        navigator.clipboard.writeText(text)
+            .catch(() => {
+                dataTextarea.select();
+                document.execCommand("copy");
+            })
+            .finally(() => {
+                showToast("コピー完了");
+            });
+    };
+    
+    if (typeof ClipboardItem === "undefined") {
+        fallbackCopy();
+        return;
+    }
+    
+    const item = new ClipboardItem({
+        "text/html": new Blob([html], { type: "text/html" }),
+        "text/plain": new Blob([text], { type: "text/plain" })
+    });
+    navigator.clipboard.write([item])
         .then(() => {
             showToast("コピー完了");
         })
-        .catch(() => {
-            dataTextarea.select();
-            document.execCommand("copy");
-            showToast("コピー完了");
-        });
+        .catch(fallbackCopy);
+}
+
+/**
+ * レシピ保存ボタンのクリックハンドラ
+ */
+function handleSaveRecipeClick() {
+    const name = recipeNameInput.value.trim();
+    const urlPattern = recipeUrlInput.value.trim();
+    
+    if (!name || !urlPattern) {
+        showToast("名前とURLを入力");
+        return;
+    }
+    
+    chrome.runtime.sendMessage({ action: "saveRecipe", name: name, urlPattern: urlPattern }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("パターン未検出");
+            return;
+        }
+        
+        recipeNameInput.value = "";
+        showToast("レシピ保存完了");
+        loadRecipes();
+    });
+}
+
+/**
+ * レシピ適用ボタンのクリックハンドラ
+ * 
+ * @param {string} recipeId - 適用するレシピのID
+ */
+function handleApplyRecipeClick(recipeId) {
+    chrome.runtime.sendMessage({ action: "applyRecipe", recipeId: recipeId }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("適用失敗");
+            return;
+        }
+        
+        showToast(`${response.count}件に一致`);
+    });
+}
+
+/**
+ * レシピの自動適用チェックボックスの変更ハンドラ
+ * 
+ * @param {string} recipeId - 対象レシピのID
+ * @param {boolean} enabled - 自動適用を有効にする場合はtrue
+ */
+function handleAutoApplyChange(recipeId, enabled) {
+    chrome.runtime.sendMessage({ action: "setRecipeAutoApply", recipeId: recipeId, enabled: enabled }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("変更失敗");
+            loadRecipes();
+            return;
+        }
+        showToast(enabled ? "自動適用オン" : "自動適用オフ");
+    });
+}
+
+/**
+ * レシピ削除ボタンのクリックハンドラ
+ * 
+ * @param {string} recipeId - 削除するレシピのID
+ */
+function handleDeleteRecipeClick(recipeId) {
+    chrome.runtime.sendMessage({ action: "deleteRecipe", recipeId: recipeId }, () => {
+        if (chrome.runtime.lastError) {
+            return;
+        }
+        loadRecipes();
+    });
+}
+
+/**
+ * 「次へ」を指定ボタンのクリックハンドラ
+ * ページ上でクリックした要素が「次へ」要素として記録される
+ */
+function handlePickNextClick() {
+    chrome.runtime.sendMessage({ action: "startNextPagePicking" }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("エラー");
+            return;
+        }
+        showToast("「次へ」をクリック");
+        // ページ上をクリックできるようにポップアップを閉じる
+        setTimeout(() => window.close(), 600);
+    });
+}
+
+/**
+ * 巡回開始ボタンのクリックハンドラ
+ */
+function handleStartCrawlClick() {
+    chrome.runtime.sendMessage({ action: "startPaginationCrawl", maxPages: maxPagesInput.value }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("開始できません");
+            return;
+        }
+        showToast("巡回開始");
+    });
+}
+
+/**
+ * スクロール収集開始ボタンのクリックハンドラ
+ */
+function handleStartScrollClick() {
+    const options = {
+        target: scrollTargetSelect.value,
+        keyColumn: parseInt(scrollKeyColumnInput.value, 10) || 0,
+        idleSteps: parseInt(scrollIdleStepsInput.value, 10) || 3
+    };
+    chrome.runtime.sendMessage({ action: "startScrollCollection", options: options }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("パターン未検出");
+            return;
+        }
+        showToast("収集開始");
+    });
+}
+
+/**
+ * 監視開始ボタンのクリックハンドラ
+ */
+function handleStartWatchClick() {
+    const options = {
+        mode: watchModeSelect.value,
+        intervalMs: Math.round((parseFloat(watchIntervalInput.value) || 1) * 1000)
+    };
+    chrome.runtime.sendMessage({ action: "startWatch", options: options }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            showToast("パターン未検出");
+            return;
+        }
+        showToast("監視開始");
+    });
+}
+
+/**
+ * 停止ボタンのクリックハンドラ
+ */
+function handleStopJobClick() {
+    chrome.runtime.sendMessage({ action: "stopJob" }, () => {
+        if (chrome.runtime.lastError) {
+            return;
+        }
+        showToast("停止中…");
+    });
 }
 
 /**
@@ -247,9 +1778,22 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
         return;
     }
     
+    if (changes.jobStatus) {
+        updateJobStatus(changes.jobStatus.newValue || null);
+    }
+    
+    if (changes.nextPageXPath) {
+        updateNextPageDisplay(changes.nextPageXPath.newValue || null);
+    }
+    
+    if (changes.timestamp) {
+        currentTimestamp = changes.timestamp.newValue || null;
+    }
+    
     if (changes.extractedData || changes.patternInfo) {
-        const data = changes.extractedData ? changes.extractedData.newValue : null;
-        const patternInfo = changes.patternInfo ? changes.patternInfo.newValue : null;
+        // 片方のみ変更された場合は保持している値を引き継ぐ
+        const data = changes.extractedData ? changes.extractedData.newValue : currentData;
+        const patternInfo = changes.patternInfo ? changes.patternInfo.newValue : currentPatternInfo;
         
         if (data !== undefined) {
             updateDataDisplay(data, patternInfo);
@@ -273,11 +1817,43 @@ function initialize() {
     // イベントリスナーの設定
     toggleBtn.addEventListener("click", handleToggleClick);
     copyBtn.addEventListener("click", handleCopyClick);
+    xlsxBtn.addEventListener("click", () => exportData("xlsx"));
+    saveRecipeBtn.addEventListener("click", handleSaveRecipeClick);
+    libraryBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+    pickNextBtn.addEventListener("click", handlePickNextClick);
+    startCrawlBtn.addEventListener("click", handleStartCrawlClick);
+    scanCandidatesBtn.addEventListener("click", handleScanCandidatesClick);
+    startScrollBtn.addEventListener("click", handleStartScrollClick);
+    startWatchBtn.addEventListener("click", handleStartWatchClick);
+    pickFieldBtn.addEventListener("click", handlePickFieldClick);
+    includeFooterCheckbox.addEventListener("change", handleIncludeFooterChange);
+    patternXPathInput.addEventListener("input", handlePatternXPathInput);
+    patternXPathInput.addEventListener("keydown", handlePatternXPathKeyDown);
+    applyXPathBtn.addEventListener("click", handleApplyXPathClick);
+    acceptSuggestionBtn.addEventListener("click", handleAcceptSuggestionClick);
+    // 編集中にポップアップを閉じた場合はページのプレビューと候補のハイライトを終了する
+    window.addEventListener("pagehide", () => {
+        if (isXPathEdited) {
+            cancelPatternXPathEdit();
+        }
+        handleCandidateHover(null);
+    });
+    firstRowHeaderCheckbox.addEventListener("change", () => handleColumnLayoutChange({ firstRowHeader: firstRowHeaderCheckbox.checked }));
+    stopJobBtn.addEventListener("click", handleStopJobClick);
     clearBtn.addEventListener("click", handleClearClick);
+    exportCsvBtn.addEventListener("click", () => exportData("csv"));
+    exportJsonBtn.addEventListener("click", () => exportData("json"));
+    exportMarkdownBtn.addEventListener("click", () => exportData("markdown"));
     
     // 保存データの読み込み
     loadStoredData();
     
+    // このページに一致するレシピの読み込み
+    loadRecipes();
+    
+    // ページ巡回の設定と進捗の読み込み
+    loadJobState();
+    
     // 現在の選択モード状態を確認してUIを反映
     checkSelectionModeStatus((isActive) => {
         updateToggleButton(isActive);
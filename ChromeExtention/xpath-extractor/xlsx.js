@@ -0,0 +1,303 @@
+/**
+ * XLSX（Office Open XML）ワークブックの生成処理
+ * 外部ライブラリやネットワークを使用せず、拡張機能内だけでファイルを組み立てる
+ * 
+ * 構成:
+ * 1. 各シートのXMLを生成（文字列はインライン文字列、数値は数値セル）
+ * 2. ワークブック・スタイル・リレーション等の定義XMLを生成
+ * 3. 無圧縮（STORE方式）のZIPアーカイブにまとめる
+ */
+
+// ========================================
+// 定数
+// ========================================
+
+// Excelの1セルに格納できる最大文字数
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+// シート名に使用できない文字
+const XLSX_INVALID_SHEET_NAME_PATTERN = /[\\/?*[\]:]/g;
+
+// CRC-32計算用のテーブル（ZIPのエントリごとに必要）
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let value = i;
+        for (let bit = 0; bit < 8; bit++) {
+            value = (value & 1) ? (0xEDB88320 ^ (value >>> 1)) : (value >>> 1);
+        }
+        table[i] = value >>> 0;
+    }
+    return table;
+})();
+
+// ========================================
+// ZIP生成関数
+// ========================================
+
+/**
+ * バイト列のCRC-32を計算する
+ * 
+ * @param {Uint8Array} bytes - 対象のバイト列
+ * @returns {number} CRC-32値（符号なし32bit）
+ */
+function calculateCrc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 無圧縮（STORE方式）のZIPアーカイブを生成する
+ * 
+ * @param {{ name: string, content: string }[]} entries - 格納するファイル
+ * @returns {Uint8Array} ZIPファイルのバイト列
+ */
+function createZipArchive(entries) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    entries.forEach((entry) => {
+        const nameBytes = encoder.encode(entry.name);
+        const dataBytes = encoder.encode(entry.content);
+        const crc = calculateCrc32(dataBytes);
+        
+        // ローカルファイルヘッダー
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034B50, true);
+        localHeader.setUint16(4, 20, true); // 展開に必要なバージョン
+        localHeader.setUint16(6, 0x0800, true); // ファイル名はUTF-8
+        localHeader.setUint16(8, 0, true); // STORE（無圧縮）
+        localHeader.setUint16(10, 0, true); // 更新時刻
+        localHeader.setUint16(12, 0x21, true); // 更新日付（1980-01-01）
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, dataBytes.length, true);
+        localHeader.setUint32(22, dataBytes.length, true);
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true);
+        
+        // セントラルディレクトリのエントリ
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014B50, true);
+        centralHeader.setUint16(4, 20, true);
+        centralHeader.setUint16(6, 20, true);
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, 0, true);
+        centralHeader.setUint16(14, 0x21, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, dataBytes.length, true);
+        centralHeader.setUint32(24, dataBytes.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint16(30, 0, true);
+        centralHeader.setUint16(32, 0, true);
+        centralHeader.setUint16(34, 0, true);
+        centralHeader.setUint16(36, 0, true);
+        centralHeader.setUint32(38, 0, true);
+        centralHeader.setUint32(42, offset, true);
+        
+        localParts.push(new Uint8Array(localHeader.buffer), nameBytes, dataBytes);
+        centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + dataBytes.length;
+    });
+    
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    
+    // セントラルディレクトリ終端レコード
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054B50, true);
+    endRecord.setUint16(4, 0, true);
+    endRecord.setUint16(6, 0, true);
+    endRecord.setUint16(8, entries.length, true);
+    endRecord.setUint16(10, entries.length, true);
+    endRecord.setUint32(12, centralSize, true);
+    endRecord.setUint32(16, offset, true);
+    endRecord.setUint16(20, 0, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(endRecord.buffer)];
+    const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(totalLength);
+    let position = 0;
+    parts.forEach((part) => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
+
+// ========================================
+// XML生成関数
+// ========================================
+
+/**
+ * XMLテキストとして安全な文字列にエスケープする
+ * XML 1.0で使用できない制御文字は除去する
+ * 
+ * @param {string} text - エスケープする文字列
+ * @returns {string} エスケープ後の文字列
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * 0始まりの列番号をExcelの列名（A, B, ..., Z, AA, ...）に変換する
+ * 
+ * @param {number} columnIndex - 0始まりの列番号
+ * @returns {string} 列名
+ */
+function toColumnLetter(columnIndex) {
+    let letter = "";
+    let index = columnIndex + 1;
+    while (index > 0) {
+        const remainder = (index - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        index = Math.floor((index - 1) / 26);
+    }
+    return letter;
+}
+
+/**
+ * 1セル分のXMLを生成する
+ * 
+ * 文字列はインライン文字列として格納するため、
+ * Excelで開いても先頭の0が消えたり日付に変換されたりしない
+ * 
+ * @param {{ type: "string"|"number", value: *, bold?: boolean }} cell - セル情報
+ * @param {string} reference - セル参照（例: "A1"）
+ * @returns {string} セルのXML
+ */
+function buildCellXml(cell, reference) {
+    const styleAttribute = cell.bold ? ' s="1"' : "";
+    
+    if (cell.type === "number" && Number.isFinite(cell.value)) {
+        return `<c r="${reference}"${styleAttribute}><v>${cell.value}</v></c>`;
+    }
+    
+    const text = String(cell.value === null || cell.value === undefined ? "" : cell.value)
+        .slice(0, XLSX_MAX_CELL_LENGTH);
+    if (text === "") {
+        return "";
+    }
+    return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+/**
+ * ワークシートのXMLを生成する
+ * 
+ * @param {Array<Array<object>>} rows - セル情報の2次元配列
+ * @returns {string} ワークシートのXML
+ */
+function buildWorksheetXml(rows) {
+    const rowXml = rows.map((cells, rowIndex) => {
+        const rowNumber = rowIndex + 1;
+        const cellXml = cells
+            .map((cell, columnIndex) => buildCellXml(cell, `${toColumnLetter(columnIndex)}${rowNumber}`))
+            .join("");
+        return `<row r="${rowNumber}">${cellXml}</row>`;
+    }).join("");
+    
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${rowXml}</sheetData>` +
+        "</worksheet>";
+}
+
+/**
+ * シート名をExcelの制約（31文字以内・使用不可文字なし）に合わせる
+ * 
+ * @param {string} name - 元のシート名
+ * @param {number} index - シート番号（名前が空の場合に使用）
+ * @returns {string} 調整後のシート名
+ */
+function sanitizeSheetName(name, index) {
+    const cleaned = String(name || "").replace(XLSX_INVALID_SHEET_NAME_PATTERN, "_").slice(0, 31);
+    return cleaned || `Sheet${index + 1}`;
+}
+
+// ========================================
+// ワークブック生成
+// ========================================
+
+/**
+ * シート定義からXLSXファイルのバイト列を生成する
+ * 
+ * 使用例:
+ *   buildXlsxWorkbook([
+ *       { name: "data", rows: [[{ type: "string", value: "001" }, { type: "number", value: 42 }]] },
+ *       { name: "meta", rows: [[{ type: "string", value: "URL" }, { type: "string", value: "https://..." }]] }
+ *   ]);
+ * 
+ * @param {{ name: string, rows: Array<Array<object>> }[]} sheets - シート定義の配列
+ * @returns {Uint8Array} XLSXファイルのバイト列
+ */
+function buildXlsxWorkbook(sheets) {
+    const sheetEntries = sheets.map((sheet, index) => ({
+        name: `xl/worksheets/sheet${index + 1}.xml`,
+        content: buildWorksheetXml(sheet.rows)
+    }));
+    
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((sheet, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join("") +
+        "</Types>";
+    
+    const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>";
+    
+    const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        "<sheets>" +
+        sheets.map((sheet, index) =>
+            `<sheet name="${escapeXml(sanitizeSheetName(sheet.name, index))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+        ).join("") +
+        "</sheets>" +
+        "</workbook>";
+    
+    const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((sheet, index) =>
+            `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+        ).join("") +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        "</Relationships>";
+    
+    // スタイル0: 標準、スタイル1: 太字（ヘッダー行用）
+    const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        "</styleSheet>";
+    
+    return createZipArchive([
+        { name: "[Content_Types].xml", content: contentTypes },
+        { name: "_rels/.rels", content: rootRels },
+        { name: "xl/workbook.xml", content: workbook },
+        { name: "xl/_rels/workbook.xml.rels", content: workbookRels },
+        { name: "xl/styles.xml", content: styles },
+        ...sheetEntries
+    ]);
+}
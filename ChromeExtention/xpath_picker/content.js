@@ -13,6 +13,11 @@ let clickListener = null;
 // 画面右上にコピー結果などを表示するための簡易トースト要素を管理する。
 let toastElement = null;
 
+// Shadow DOMの境界を表すセグメント。
+// ホスト要素までのXPathと、シャドウルートからのパスをこのセグメントでつなぐ。
+// 例: /html[1]/body[1]/my-app[1]/#shadow-root/div[2]/span[1]
+const SHADOW_ROOT_SEGMENT = "#shadow-root";
+
 // background.jsからのメッセージを受け取るリスナー。
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (!message || !message.type) {
@@ -46,8 +51,10 @@ function enableSelectionMode() {
         event.stopPropagation();
 
         // 実際にハンドリングするターゲット要素を決める。
+        // Shadow DOM内のクリックは event.target がホスト要素に置き換わるため、composedPath() の先頭を使う。
         // クリックターゲットがテキストノードなど非HTMLElementの場合は親要素を使う。
-        const target = normalizeClickTarget(event.target);
+        const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+        const target = normalizeClickTarget(path.length > 0 ? path[0] : event.target);
         if (!target) {
             showToast("Invalid target", true);
             cleanUpAfterSelection();
@@ -117,18 +124,14 @@ function normalizeClickTarget(target) {
 // 絶対XPathを計算する関数。
 // DevToolsの「Copy full XPath」と同様に、/html/body/... のように
 // /タグ名[インデックス] を連結してルートまでの絶対パスを生成する。
+// オープンなShadow DOM内の要素は、シャドウルートの直下でSHADOW_ROOT_SEGMENTを挟んでホスト要素からたどる。
 function computeFullXPath(element) {
     if (!(element instanceof Element)) {
         return {ok: false, xpath: null, error: "invalid-element"};
     }
 
-    const rootNode = typeof element.getRootNode === "function" ? element.getRootNode() : null;
-    if (typeof ShadowRoot !== "undefined" && rootNode instanceof ShadowRoot) {
-        // Shadow DOM内は通常のdocument基準XPathでは表現できない。
-        return {ok: false, xpath: null, error: "shadow-dom-not-supported"};
-    }
-
-    if (!document.documentElement || !document.documentElement.contains(element)) {
+    // Shadow DOM内の要素はdocumentElement.contains()では判定できないため、isConnectedで判定する。
+    if (!document.documentElement || !element.isConnected) {
         return {ok: false, xpath: null, error: "detached-element"};
     }
 
@@ -139,7 +142,12 @@ function computeFullXPath(element) {
         const nodeName = buildXPathNodeName(current);
         const index = getSiblingIndexForXPath(current);
         segments.unshift(nodeName + "[" + index + "]");
-        current = current.parentElement;
+        if (typeof ShadowRoot !== "undefined" && current.parentNode instanceof ShadowRoot) {
+            segments.unshift(SHADOW_ROOT_SEGMENT);
+            current = current.parentNode.host;
+        } else {
+            current = current.parentElement;
+        }
     }
 
     if (segments.length === 0) {
@@ -186,19 +194,55 @@ function isSameXPathElementType(left, right) {
 
 function isXPathPointingToElement(xpath, element) {
     try {
-        const result = document.evaluate(
-            xpath,
-            document,
-            null,
-            XPathResult.FIRST_ORDERED_NODE_TYPE,
-            null
-        );
-        return !!result && result.singleNodeValue === element;
+        return resolveComposedXPath(xpath) === element;
     } catch (e) {
         return false;
     }
 }
 
+// SHADOW_ROOT_SEGMENTを含むXPathを要素に解決する。
+// document.evaluateはシャドウルートの中をたどれないため、境界の手前まではdocument.evaluateで解決し、
+// 境界より後ろはシャドウルートの子要素を /タグ名[インデックス] ごとにたどる。
+function resolveComposedXPath(xpath) {
+    const parts = xpath.split("/" + SHADOW_ROOT_SEGMENT);
+    const result = document.evaluate(
+        parts[0],
+        document,
+        null,
+        XPathResult.FIRST_ORDERED_NODE_TYPE,
+        null
+    );
+    let node = result ? result.singleNodeValue : null;
+
+    for (let i = 1; i < parts.length; i++) {
+        if (!node || !node.shadowRoot) {
+            return null;
+        }
+        node = walkShadowRootPath(node.shadowRoot, parts[i]);
+    }
+    return node;
+}
+
+// シャドウルートから /タグ名[インデックス] の並びをたどって要素を返す。
+// 見つからない場合はnullを返す。
+function walkShadowRootPath(shadowRoot, path) {
+    let current = shadowRoot;
+    const steps = path.split("/").filter((step) => step.length > 0);
+
+    for (const step of steps) {
+        const match = step.match(/^(.+)\[(\d+)\]$/);
+        if (!match) {
+            return null;
+        }
+        const sameTypeChildren = Array.from(current.children).filter((child) => buildXPathNodeName(child) === match[1]);
+        current = sameTypeChildren[parseInt(match[2], 10) - 1] || null;
+        if (!current) {
+            return null;
+        }
+    }
+    return current;
+}
+
 // クリックされた要素の位置に固定配置のオーバーレイを表示する。
 // 0.3秒後に自動的に削除する。
 function highlightElement(element) {